@@ -1,6 +1,286 @@
-import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import React, { useState, useEffect, useLayoutEffect, useCallback, useMemo, useRef, useSyncExternalStore } from 'react';
 // Cleaned up imports: Removed unused icons to resolve ESLint warnings
-import { Plus, Edit, Archive, Users, FileText, Menu, X, ArrowLeft, Calendar, User, Mail, AlertCircle, Upload } from 'lucide-react';
+import { Plus, Edit, Archive, Users, FileText, Menu, X, ArrowLeft, Calendar, User, Mail, AlertCircle, Upload, Download, ChevronLeft, ChevronRight, Copy, Trash2 } from 'lucide-react';
+
+// Thrown by MockAPI when a write is rejected for bad input; `fields` maps field names to messages
+class ValidationError extends Error {
+    constructor(fields) {
+        super(Object.values(fields).join(', '));
+        this.name = 'ValidationError';
+        this.fields = fields;
+    }
+}
+
+// Lowercase, ASCII-only, dash-separated - safe to use in a URL path segment
+function slugify(text) {
+    return text
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '');
+}
+
+// Local stand-in for a team directory - in real app would come from the auth service
+const TEAM_MEMBERS = [
+    { id: 'user-1', name: 'Priya Shah', handle: 'priya', role: 'admin' },
+    { id: 'user-2', name: 'Marcus Lee', handle: 'marcus', role: 'recruiter' },
+    { id: 'user-3', name: 'Sofia Alvarez', handle: 'sofia', role: 'recruiter' },
+    { id: 'user-4', name: 'Daniel Okafor', handle: 'daniel', role: 'interviewer' },
+    { id: 'user-5', name: 'Hannah Becker', handle: 'hannah', role: 'interviewer' }
+];
+const CURRENT_USER = TEAM_MEMBERS[0];
+
+const MENTION_PATTERN = /@(\w+)/g;
+
+// Handles of known teammates mentioned in a piece of text, without duplicates
+function extractMentions(text) {
+    const handles = [...text.matchAll(MENTION_PATTERN)].map(match => match[1].toLowerCase());
+    return [...new Set(handles)].filter(handle => TEAM_MEMBERS.some(member => member.handle === handle));
+}
+
+// Tailwind needs the full class names in source, so stage colors are picked from this fixed palette
+const STAGE_COLORS = {
+    blue: 'bg-blue-100 text-blue-800',
+    yellow: 'bg-yellow-100 text-yellow-800',
+    purple: 'bg-purple-100 text-purple-800',
+    indigo: 'bg-indigo-100 text-indigo-800',
+    pink: 'bg-pink-100 text-pink-800',
+    teal: 'bg-teal-100 text-teal-800',
+    orange: 'bg-orange-100 text-orange-800',
+    green: 'bg-green-100 text-green-800',
+    red: 'bg-red-100 text-red-800',
+    gray: 'bg-gray-100 text-gray-800'
+};
+
+// Ordered pipeline used by jobs that don't define their own. `closed` stages are done with the pipeline.
+const DEFAULT_PIPELINE = [
+    { id: 'applied', label: 'Applied', color: 'blue' },
+    { id: 'screen', label: 'Screening', color: 'yellow' },
+    { id: 'tech', label: 'Technical', color: 'purple' },
+    { id: 'offer', label: 'Offer', color: 'orange' },
+    { id: 'hired', label: 'Hired', color: 'green', closed: true },
+    { id: 'rejected', label: 'Rejected', color: 'red', closed: true }
+];
+
+const ENGINEERING_PIPELINE = [
+    { id: 'applied', label: 'Applied', color: 'blue' },
+    { id: 'screen', label: 'Screening', color: 'yellow' },
+    { id: 'take-home', label: 'Take-home', color: 'indigo' },
+    { id: 'tech', label: 'Technical', color: 'purple' },
+    { id: 'offer', label: 'Offer', color: 'orange' },
+    { id: 'hired', label: 'Hired', color: 'green', closed: true },
+    { id: 'rejected', label: 'Rejected', color: 'red', closed: true }
+];
+
+const ONSITE_PIPELINE = [
+    { id: 'applied', label: 'Applied', color: 'blue' },
+    { id: 'screen', label: 'Screening', color: 'yellow' },
+    { id: 'onsite', label: 'Onsite Loop', color: 'pink' },
+    { id: 'offer', label: 'Offer', color: 'orange' },
+    { id: 'hired', label: 'Hired', color: 'green', closed: true },
+    { id: 'rejected', label: 'Rejected', color: 'red', closed: true }
+];
+
+function getPipeline(job) {
+    return job?.stages?.length ? job.stages : DEFAULT_PIPELINE;
+}
+
+// Every stage used by any of the jobs, in first-seen order - for views that span several jobs
+function mergePipelines(jobs) {
+    const merged = new Map();
+    (jobs.length ? jobs : [null]).forEach(job => {
+        getPipeline(job).forEach(stage => {
+            if (!merged.has(stage.id)) merged.set(stage.id, stage);
+        });
+    });
+    return [...merged.values()];
+}
+
+function findStage(pipeline, stageId) {
+    return pipeline.find(stage => stage.id === stageId)
+        || DEFAULT_PIPELINE.find(stage => stage.id === stageId)
+        || { id: stageId, label: stageId, color: 'gray' };
+}
+
+// Default stage rules for a pipeline: step forward one open stage, step back one with a reason,
+// hire only from the last open stage, and reject from any open stage with a reason.
+// Closed stages are final.
+function defaultTransitions(pipeline) {
+    const open = pipeline.filter(stage => !stage.closed);
+    const [hireStage, ...otherClosed] = pipeline.filter(stage => stage.closed);
+    const transitions = [];
+
+    open.forEach((stage, index) => {
+        if (open[index + 1]) {
+            transitions.push({ from: stage.id, to: open[index + 1].id });
+        }
+        if (open[index - 1]) {
+            transitions.push({ from: stage.id, to: open[index - 1].id, requiresReason: true });
+        }
+        otherClosed.forEach(closed => {
+            transitions.push({ from: stage.id, to: closed.id, requiresReason: true });
+        });
+    });
+
+    if (hireStage && open.length) {
+        transitions.push({ from: open[open.length - 1].id, to: hireStage.id });
+    }
+
+    return transitions;
+}
+
+function getTransitions(job) {
+    return job?.transitions || defaultTransitions(getPipeline(job));
+}
+
+function findTransition(transitions, from, to) {
+    return transitions.find(rule => rule.from === from && rule.to === to);
+}
+
+// Walks a seeded candidate from the first stage to their current one with increasing timestamps,
+// so the timeline looks like a real pipeline instead of a single jump
+function buildSeedStageHistory(pipeline, stage, appliedAt) {
+    const open = pipeline.filter(s => !s.closed).map(s => s.id);
+    const firstClosed = pipeline.find(s => s.closed)?.id;
+    const path = open.includes(stage)
+        ? open.slice(0, open.indexOf(stage) + 1)
+        : stage === firstClosed
+            ? [...open, stage]
+            : [...open.slice(0, Math.floor(Math.random() * open.length) + 1), stage];
+
+    const start = new Date(appliedAt).getTime();
+    const step = (Date.now() - start) / path.length;
+    const randomMember = () => TEAM_MEMBERS[Math.floor(Math.random() * TEAM_MEMBERS.length)].name;
+
+    return path.map((to, index) => ({
+        from: index === 0 ? null : path[index - 1],
+        to,
+        at: index === 0 ? new Date(start) : new Date(start + step * (index - 1 + Math.random())),
+        by: index === 0 ? null : randomMember(),
+        ...(index > 0 && !open.includes(to) && to !== firstClosed ? { reason: 'Not a fit for the role at this time' } : {})
+    }));
+}
+
+// RFC 4180-style CSV: quoted fields may hold commas, newlines and doubled quotes. Blank lines are dropped.
+// Each row comes back as { line, values }, where line is the file line the row starts on.
+function parseCSV(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    let line = 1;
+    let rowLine = 1;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+                if (char === '\n' || (char === '\r' && text[i + 1] !== '\n')) line++;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push({ line: rowLine, values: row });
+            row = [];
+            field = '';
+            line++;
+            rowLine = line;
+        } else {
+            field += char;
+        }
+    }
+    row.push(field);
+    rows.push({ line: rowLine, values: row });
+
+    return rows.filter(r => r.values.some(value => value.trim() !== ''));
+}
+
+// Quotes fields that need it. Text that a spreadsheet would run as a formula gets a leading apostrophe.
+function toCSV(rows) {
+    return rows.map(row => row.map(value => {
+        let text = value === null || value === undefined ? '' : String(value);
+        if (typeof value === 'string' && /^[=+\-@]/.test(text)) text = `'${text}`;
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }).join(',')).join('\r\n');
+}
+
+function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(url);
+}
+
+const CANDIDATE_IMPORT_FIELDS = [
+    { id: 'name', label: 'Name', required: true, aliases: ['name', 'full name', 'candidate', 'candidate name'] },
+    { id: 'email', label: 'Email', required: true, aliases: ['email', 'e-mail', 'email address'] },
+    { id: 'jobId', label: 'Job', required: true, aliases: ['job', 'jobid', 'job id', 'position', 'role', 'job title'] },
+    { id: 'stage', label: 'Stage', aliases: ['stage', 'status'] },
+    { id: 'appliedAt', label: 'Applied at', aliases: ['applied', 'appliedat', 'applied at', 'applied on', 'date'] }
+];
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Turns one imported row of strings into a candidate. The job may be given by id, slug or title and the
+// stage by id or label; a blank stage starts at the job's first stage and a blank date means today.
+function resolveCandidateRow(row, jobs) {
+    const errors = {};
+    const value = (field) => String(row[field] ?? '').trim();
+
+    const name = value('name');
+    if (!name) errors.name = 'Name is required';
+
+    const email = value('email').toLowerCase();
+    if (!email) {
+        errors.email = 'Email is required';
+    } else if (!EMAIL_PATTERN.test(email)) {
+        errors.email = `"${email}" is not a valid email`;
+    }
+
+    const jobKey = value('jobId').toLowerCase();
+    const job = jobKey && jobs.find(j => [j.id, j.slug, j.title].some(key => key?.toLowerCase() === jobKey));
+    if (!jobKey) {
+        errors.jobId = 'Job is required';
+    } else if (!job) {
+        errors.jobId = `No job matches "${value('jobId')}"`;
+    }
+
+    let stage = null;
+    if (job) {
+        const pipeline = getPipeline(job);
+        const stageKey = value('stage').toLowerCase();
+        stage = stageKey
+            ? pipeline.find(s => s.id === stageKey || s.label.toLowerCase() === stageKey)
+            : pipeline[0];
+        if (!stage) errors.stage = `"${value('stage')}" is not a stage of ${job.title}`;
+    }
+
+    const appliedAt = value('appliedAt') ? new Date(value('appliedAt')) : new Date();
+    if (Number.isNaN(appliedAt.getTime())) errors.appliedAt = `"${value('appliedAt')}" is not a date`;
+
+    if (Object.keys(errors).length) {
+        return { errors };
+    }
+
+    return {
+        candidate: { name, email, jobId: job.id, stage: stage.id, appliedAt },
+        errors: null
+    };
+}
 
 // Mock MSW-like API with IndexedDB persistence
 class MockAPI {
@@ -12,10 +292,14 @@ class MockAPI {
 
     async initDB() {
         // Simple IndexedDB wrapper - in real app would use Dexie
-        if (typeof window !== 'undefined' && !this.db) {
-            const request = indexedDB.open(this.dbName, 1);
+        if (typeof window === 'undefined') return;
+
+        // Every caller shares one open request, so the version upgrade only runs once
+        if (!this.dbReady) {
+            const request = indexedDB.open(this.dbName, 7);
             request.onupgradeneeded = (event) => {
                 const db = event.target.result;
+                const transaction = event.target.transaction;
                 if (!db.objectStoreNames.contains('jobs')) {
                     db.createObjectStore('jobs', { keyPath: 'id' });
                 }
@@ -25,12 +309,70 @@ class MockAPI {
                 if (!db.objectStoreNames.contains('assessments')) {
                     db.createObjectStore('assessments', { keyPath: 'jobId' });
                 }
+
+                // Version 2: indexes for filtered queries
+                if (event.oldVersion < 2) {
+                    const candidatesStore = transaction.objectStore('candidates');
+                    ['stage', 'jobId', 'email', 'appliedAt'].forEach(field => {
+                        if (!candidatesStore.indexNames.contains(field)) {
+                            candidatesStore.createIndex(field, field);
+                        }
+                    });
+
+                    const jobsStore = transaction.objectStore('jobs');
+                    if (!jobsStore.indexNames.contains('status')) {
+                        jobsStore.createIndex('status', 'status');
+                    }
+                }
+
+                // Version 3: submitted assessment responses, one per candidate and job
+                if (event.oldVersion < 3 && !db.objectStoreNames.contains('responses')) {
+                    const responsesStore = db.createObjectStore('responses', { keyPath: ['candidateId', 'jobId'] });
+                    responsesStore.createIndex('candidateId', 'candidateId');
+                    responsesStore.createIndex('jobId', 'jobId');
+                }
+
+                // Version 4: files uploaded with assessment responses, kept apart so listing responses stays light
+                if (event.oldVersion < 4 && !db.objectStoreNames.contains('files')) {
+                    db.createObjectStore('files', { keyPath: 'id' });
+                }
+
+                // Version 5: every saved version of an assessment, so a bad save can be undone
+                if (event.oldVersion < 5 && !db.objectStoreNames.contains('assessmentVersions')) {
+                    const versionsStore = db.createObjectStore('assessmentVersions', { keyPath: ['jobId', 'version'] });
+                    versionsStore.createIndex('jobId', 'jobId');
+                }
+
+                // Version 6: named assessment templates that new jobs can start from
+                if (event.oldVersion < 6 && !db.objectStoreNames.contains('assessmentTemplates')) {
+                    db.createObjectStore('assessmentTemplates', { keyPath: 'id' });
+                }
+
+                // Version 7: job lookup by slug for shareable job links
+                if (event.oldVersion < 7) {
+                    const jobsStore = transaction.objectStore('jobs');
+                    if (!jobsStore.indexNames.contains('slug')) {
+                        jobsStore.createIndex('slug', 'slug');
+                    }
+                }
             };
 
-            this.db = await new Promise((resolve) => {
+            this.dbReady = new Promise((resolve, reject) => {
                 request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
             });
         }
+
+        this.db = await this.dbReady;
+    }
+
+    // getAll() on a store or index, optionally narrowed to a key or IDBKeyRange
+    getAll(source, query) {
+        return new Promise((resolve, reject) => {
+            const request = source.getAll(query);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
     }
 
     async delay() {
@@ -46,7 +388,7 @@ class MockAPI {
     async seedData() {
         await this.initDB();
 
-        const transaction = this.db?.transaction(['jobs', 'candidates', 'assessments'], 'readwrite');
+        const transaction = this.db?.transaction(['jobs', 'candidates', 'assessments', 'assessmentVersions'], 'readwrite');
         if (!transaction) return;
 
         const jobsStore = transaction.objectStore('jobs');
@@ -61,11 +403,12 @@ class MockAPI {
 
         if (existingJobs > 0) return; // Already seeded
 
-        // Seed jobs
+        // Seed jobs - engineering roles add a take-home step, product roles an onsite loop
         const jobs = Array.from({ length: 25 }, (_, i) => ({
             id: `job-${i + 1}`,
             title: `${['Frontend Developer', 'Backend Engineer', 'Full Stack Developer', 'DevOps Engineer', 'Product Manager'][i % 5]} ${Math.floor(i / 5) + 1}`,
             slug: `job-${i + 1}-slug`,
+            stages: i % 5 === 4 ? ONSITE_PIPELINE : ENGINEERING_PIPELINE,
             status: Math.random() > 0.3 ? 'active' : 'archived',
             tags: ['React', 'Node.js', 'TypeScript', 'AWS', 'Python'].slice(0, Math.floor(Math.random() * 3) + 1),
             order: i + 1,
@@ -76,16 +419,21 @@ class MockAPI {
         jobs.forEach(job => jobsStore.add(job));
 
         // Seed candidates
-        const stages = ['applied', 'screen', 'tech', 'offer', 'hired', 'rejected'];
-        const candidates = Array.from({ length: 1000 }, (_, i) => ({
-            id: `candidate-${i + 1}`,
-            name: `Candidate ${i + 1}`,
-            email: `candidate${i + 1}@email.com`,
-            stage: stages[Math.floor(Math.random() * stages.length)],
-            jobId: `job-${Math.floor(Math.random() * 25) + 1}`,
-            appliedAt: new Date(Date.now() - Math.random() * 60 * 24 * 60 * 60 * 1000),
-            notes: []
-        }));
+        const candidates = Array.from({ length: 1000 }, (_, i) => {
+            const job = jobs[Math.floor(Math.random() * jobs.length)];
+            const stage = job.stages[Math.floor(Math.random() * job.stages.length)].id;
+            const appliedAt = new Date(Date.now() - Math.random() * 60 * 24 * 60 * 60 * 1000);
+            return {
+                id: `candidate-${i + 1}`,
+                name: `Candidate ${i + 1}`,
+                email: `candidate${i + 1}@email.com`,
+                stage,
+                jobId: job.id,
+                appliedAt,
+                stageHistory: buildSeedStageHistory(job.stages, stage, appliedAt),
+                notes: []
+            };
+        });
 
         candidates.forEach(candidate => candidatesStore.add(candidate));
 
@@ -95,6 +443,10 @@ class MockAPI {
             const assessment = {
                 jobId: `job-${i}`,
                 title: `Assessment for Job ${i}`,
+                version: 1,
+                updatedAt: new Date(),
+                updatedBy: 'TalentFlow',
+                passThreshold: 60,
                 sections: [{
                     id: 'section-1',
                     title: 'Technical Skills',
@@ -105,12 +457,23 @@ class MockAPI {
                         required: qIndex < 6,
                         options: ['single-choice', 'multi-choice'].includes(questionTypes[qIndex % questionTypes.length])
                             ? ['Beginner', 'Intermediate', 'Advanced', 'Expert'] : undefined,
-                        validation: questionTypes[qIndex % questionTypes.length] === 'numeric'
-                            ? { min: 0, max: 10 } : { maxLength: 500 }
+                        validation: {
+                            numeric: { min: 0, max: 10 },
+                            'file-upload': { accept: '.pdf,.doc,.docx', maxSizeMB: 5 }
+                        }[questionTypes[qIndex % questionTypes.length]] || { maxLength: 500 },
+                        // Choice and numeric questions score themselves; long answers are graded by a reviewer
+                        points: { 'single-choice': 1, numeric: 1, 'long-text': 2 }[questionTypes[qIndex % questionTypes.length]],
+                        correct: questionTypes[qIndex % questionTypes.length] === 'single-choice' ? ['Advanced', 'Expert'] : undefined,
+                        acceptRange: questionTypes[qIndex % questionTypes.length] === 'numeric' ? { min: 3 } : undefined,
+                        // The last upload is only asked of candidates with 3+ on the first numeric question
+                        ...(qIndex === 11 ? {
+                            visibility: { action: 'show', match: 'all', rules: [{ questionId: 'q-5', operator: 'gt', value: '2' }] }
+                        } : {})
                     }))
                 }]
             };
             assessmentsStore.add(assessment);
+            transaction.objectStore('assessmentVersions').add(assessment);
         }
     }
 
@@ -121,12 +484,11 @@ class MockAPI {
         const transaction = this.db.transaction(['jobs'], 'readonly');
         const store = transaction.objectStore('jobs');
 
-        const jobs = await new Promise(resolve => {
-            const request = store.getAll();
-            request.onsuccess = () => resolve(request.result);
-        });
+        const jobs = params.status
+            ? await this.getAll(store.index('status'), params.status)
+            : await this.getAll(store);
 
-        let filtered = jobs;
+        let filtered = [...jobs].sort((a, b) => a.order - b.order);
 
         if (params.search) {
             filtered = filtered.filter(job =>
@@ -155,18 +517,67 @@ class MockAPI {
         };
     }
 
+    async getJob(id) {
+        await this.delay();
+        await this.initDB();
+
+        const transaction = this.db.transaction(['jobs'], 'readonly');
+        const store = transaction.objectStore('jobs');
+
+        return new Promise(resolve => {
+            const request = store.get(id);
+            request.onsuccess = () => resolve(request.result);
+        });
+    }
+
+    async getJobBySlug(slug) {
+        await this.delay();
+        await this.initDB();
+
+        const transaction = this.db.transaction(['jobs'], 'readonly');
+        const index = transaction.objectStore('jobs').index('slug');
+
+        return new Promise((resolve, reject) => {
+            const request = index.get(slug);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    // Normalizes the requested slug and rejects it if empty or used by another job, as a slug or an id,
+    // since job links resolve either one
+    validateSlug(jobs, slug, id) {
+        const normalized = slugify(slug || '');
+        if (!normalized) {
+            throw new ValidationError({ slug: 'Slug must contain at least one letter or number' });
+        }
+        if (jobs.some(job => (job.slug === normalized || job.id === normalized) && job.id !== id)) {
+            throw new ValidationError({ slug: `Slug "${normalized}" is already taken` });
+        }
+        return normalized;
+    }
+
     async createJob(job) {
         await this.delay();
         await this.initDB();
 
+        const transaction = this.db.transaction(['jobs'], 'readwrite');
+        const store = transaction.objectStore('jobs');
+
+        const jobs = await new Promise(resolve => {
+            const request = store.getAll();
+            request.onsuccess = () => resolve(request.result);
+        });
+
+        // New jobs go to the end of the board
         const newJob = {
             ...job,
             id: `job-${Date.now()}`,
+            slug: this.validateSlug(jobs, job.slug || job.title),
+            order: jobs.reduce((max, j) => Math.max(max, j.order || 0), 0) + 1,
             createdAt: new Date()
         };
 
-        const transaction = this.db.transaction(['jobs'], 'readwrite');
-        const store = transaction.objectStore('jobs');
         store.add(newJob);
 
         return newJob;
@@ -179,28 +590,271 @@ class MockAPI {
         const transaction = this.db.transaction(['jobs'], 'readwrite');
         const store = transaction.objectStore('jobs');
 
+        const jobs = await new Promise(resolve => {
+            const request = store.getAll();
+            request.onsuccess = () => resolve(request.result);
+        });
+
+        const job = jobs.find(j => j.id === id);
+        if (!job) {
+            throw new Error('Job not found');
+        }
+
+        const updatedJob = { ...job, ...updates };
+        if (updates.slug !== undefined) {
+            updatedJob.slug = this.validateSlug(jobs, updates.slug, id);
+        }
+        store.put(updatedJob);
+
+        return updatedJob;
+    }
+
+    // Replaces a job's pipeline. Stages that still hold candidates can't be removed.
+    async updateJobStages(id, stages) {
+        await this.delay();
+        await this.initDB();
+
+        if (!stages.length || stages.every(stage => stage.closed)) {
+            throw new ValidationError({ stages: 'A pipeline needs at least one open stage' });
+        }
+        if (stages.some(stage => !stage.label?.trim())) {
+            throw new ValidationError({ stages: 'Every stage needs a label' });
+        }
+        if (new Set(stages.map(stage => stage.id)).size !== stages.length) {
+            throw new ValidationError({ stages: 'Stage ids must be unique' });
+        }
+
+        const transaction = this.db.transaction(['jobs', 'candidates'], 'readwrite');
+        const store = transaction.objectStore('jobs');
+
+        const job = await new Promise(resolve => {
+            const request = store.get(id);
+            request.onsuccess = () => resolve(request.result);
+        });
+
+        if (!job) {
+            throw new Error('Job not found');
+        }
+
+        const candidates = await this.getAll(transaction.objectStore('candidates').index('jobId'), id);
+        const removed = getPipeline(job).filter(stage => !stages.some(s => s.id === stage.id));
+        for (const stage of removed) {
+            const count = candidates.filter(candidate => candidate.stage === stage.id).length;
+            if (count > 0) {
+                throw new ValidationError({ stages: `Move the ${count} candidate(s) out of "${stage.label}" before removing it` });
+            }
+        }
+
+        const nextStages = stages.map(({ id: stageId, label, color, closed }) => ({
+            id: stageId,
+            label: label.trim(),
+            color: STAGE_COLORS[color] ? color : 'gray',
+            ...(closed ? { closed: true } : {})
+        }));
+        const stageIds = nextStages.map(stage => stage.id);
+        const added = stageIds.filter(stageId => !getPipeline(job).some(stage => stage.id === stageId));
+
+        // Custom rules survive a pipeline edit, minus any that point at removed stages. Added stages get
+        // the default rules in and out of them, so they can be reached without editing the rules first.
+        const transitions = job.transitions && [
+            ...job.transitions.filter(rule => stageIds.includes(rule.from) && stageIds.includes(rule.to)),
+            ...defaultTransitions(nextStages).filter(rule =>
+                (added.includes(rule.from) || added.includes(rule.to))
+                && !findTransition(job.transitions, rule.from, rule.to)
+            )
+        ];
+
+        const updatedJob = {
+            ...job,
+            ...(transitions ? { transitions } : {}),
+            stages: nextStages
+        };
+        store.put(updatedJob);
+
+        return updatedJob;
+    }
+
+    // Replaces a job's stage transition rules; admins only
+    async updateJobTransitions(id, transitions) {
+        await this.delay();
+        await this.initDB();
+
+        if (CURRENT_USER.role !== 'admin') {
+            throw new Error('Only admins can edit stage rules');
+        }
+
+        const transaction = this.db.transaction(['jobs'], 'readwrite');
+        const store = transaction.objectStore('jobs');
+
         const job = await new Promise(resolve => {
             const request = store.get(id);
             request.onsuccess = () => resolve(request.result);
         });
 
-        const updatedJob = { ...job, ...updates };
+        if (!job) {
+            throw new Error('Job not found');
+        }
+
+        const stageIds = getPipeline(job).map(stage => stage.id);
+        const unknown = transitions?.find(rule => !stageIds.includes(rule.from) || !stageIds.includes(rule.to));
+        if (unknown) {
+            throw new ValidationError({ transitions: `Unknown stage in rule ${unknown.from} → ${unknown.to}` });
+        }
+
+        // Passing null goes back to the defaults for the job's pipeline
+        const updatedJob = { ...job };
+        if (transitions === null) {
+            delete updatedJob.transitions;
+        } else {
+            updatedJob.transitions = transitions
+                .filter(rule => rule.from !== rule.to)
+                .map(({ from, to, requiresReason }) => ({ from, to, ...(requiresReason ? { requiresReason: true } : {}) }));
+        }
         store.put(updatedJob);
 
         return updatedJob;
     }
 
-    async getCandidates(params = {}) {
+    // Moves a job to the position currently held by toOrder and renumbers every job in between,
+    // so moves across page boundaries (and filtered views) stay consistent for all jobs.
+    async reorderJob(id, toOrder) {
+        await this.delay();
+        await this.initDB();
+
+        const transaction = this.db.transaction(['jobs'], 'readwrite');
+        const store = transaction.objectStore('jobs');
+
+        const jobs = await new Promise(resolve => {
+            const request = store.getAll();
+            request.onsuccess = () => resolve(request.result);
+        });
+
+        const sorted = [...jobs].sort((a, b) => a.order - b.order);
+        const fromIndex = sorted.findIndex(job => job.id === id);
+        if (fromIndex === -1) {
+            throw new Error('Job not found');
+        }
+
+        let toIndex = sorted.findIndex(job => job.order >= toOrder);
+        if (toIndex === -1) toIndex = sorted.length - 1;
+
+        const [moved] = sorted.splice(fromIndex, 1);
+        sorted.splice(toIndex, 0, moved);
+
+        const changed = [];
+        sorted.forEach((job, index) => {
+            if (job.order !== index + 1) {
+                const updatedJob = { ...job, order: index + 1 };
+                store.put(updatedJob);
+                changed.push(updatedJob);
+            }
+        });
+
+        return changed;
+    }
+
+    // Reads through the index for the narrowest filter instead of scanning the whole store.
+    // Callers still apply every filter afterwards, so this only decides what gets read.
+    queryCandidates(store, params) {
+        if (params.jobId) {
+            return this.getAll(store.index('jobId'), params.jobId);
+        }
+        if (params.email) {
+            return this.getAll(store.index('email'), params.email);
+        }
+        if (params.stage) {
+            return this.getAll(store.index('stage'), params.stage);
+        }
+        if (params.appliedAfter || params.appliedBefore) {
+            const range = params.appliedAfter && params.appliedBefore
+                ? IDBKeyRange.bound(new Date(params.appliedAfter), new Date(params.appliedBefore))
+                : params.appliedAfter
+                    ? IDBKeyRange.lowerBound(new Date(params.appliedAfter))
+                    : IDBKeyRange.upperBound(new Date(params.appliedBefore));
+            return this.getAll(store.index('appliedAt'), range);
+        }
+        return this.getAll(store);
+    }
+
+    // Emails from the list that already belong to a candidate
+    async findExistingEmails(emails) {
         await this.delay();
         await this.initDB();
 
         const transaction = this.db.transaction(['candidates'], 'readonly');
+        const index = transaction.objectStore('candidates').index('email');
+
+        const found = await Promise.all([...new Set(emails)].map(email => new Promise((resolve, reject) => {
+            const request = index.count(email);
+            request.onsuccess = () => resolve(request.result > 0 ? email : null);
+            request.onerror = () => reject(request.error);
+        })));
+
+        return new Set(found.filter(Boolean));
+    }
+
+    // Creates the valid rows and reports the rest by their position in `rows`; a row is never
+    // half-written. Emails already in use, or repeated earlier in the batch, fail their row.
+    async createCandidates(rows) {
+        await this.delay();
+        await this.initDB();
+
+        const transaction = this.db.transaction(['jobs', 'candidates'], 'readwrite');
         const store = transaction.objectStore('candidates');
 
-        const candidates = await new Promise(resolve => {
-            const request = store.getAll();
+        const jobs = await this.getAll(transaction.objectStore('jobs'));
+        const resolved = rows.map(row => resolveCandidateRow(row, jobs));
+        const emails = resolved.map(result => result.candidate?.email).filter(Boolean);
+        const existing = await Promise.all(emails.map(email => new Promise((resolve, reject) => {
+            const request = store.index('email').count(email);
+            request.onsuccess = () => resolve(request.result > 0 ? email : null);
+            request.onerror = () => reject(request.error);
+        })));
+        const taken = new Set(existing.filter(Boolean));
+
+        const stamp = Date.now();
+        const created = [];
+        const failed = [];
+        resolved.forEach(({ candidate, errors }, index) => {
+            if (errors) {
+                failed.push({ row: index, errors });
+                return;
+            }
+            if (taken.has(candidate.email)) {
+                failed.push({ row: index, errors: { email: `${candidate.email} is already a candidate` } });
+                return;
+            }
+            taken.add(candidate.email);
+
+            const record = {
+                ...candidate,
+                id: `candidate-${stamp}-${index}`,
+                stageHistory: [{ from: null, to: candidate.stage, at: candidate.appliedAt, by: CURRENT_USER.name }],
+                notes: []
+            };
+            store.add(record);
+            created.push(record);
+        });
+
+        return { created, failed };
+    }
+
+    async getCandidate(id) {
+        await this.delay();
+        await this.initDB();
+
+        const transaction = this.db.transaction(['candidates'], 'readonly');
+        const store = transaction.objectStore('candidates');
+
+        return new Promise(resolve => {
+            const request = store.get(id);
             request.onsuccess = () => resolve(request.result);
         });
+    }
+
+    // Every candidate matching the list filters, shared by the paged list and the export
+    async filterCandidates(store, params) {
+        const candidates = await this.queryCandidates(store, params);
 
         let filtered = candidates;
 
@@ -208,7 +862,8 @@ class MockAPI {
             const search = params.search.toLowerCase();
             filtered = filtered.filter(candidate =>
                 candidate.name.toLowerCase().includes(search) ||
-                candidate.email.toLowerCase().includes(search)
+                candidate.email.toLowerCase().includes(search) ||
+                (candidate.notes || []).some(note => note.text.toLowerCase().includes(search))
             );
         }
 
@@ -216,10 +871,29 @@ class MockAPI {
             filtered = filtered.filter(candidate => candidate.stage === params.stage);
         }
 
+        if (params.jobId) {
+            filtered = filtered.filter(candidate => candidate.jobId === params.jobId);
+        }
+
+        if (params.email) {
+            filtered = filtered.filter(candidate => candidate.email === params.email);
+        }
+
+        return filtered;
+    }
+
+    async getCandidates(params = {}) {
+        await this.delay();
+        await this.initDB();
+
+        const transaction = this.db.transaction(['candidates'], 'readonly');
+        const filtered = await this.filterCandidates(transaction.objectStore('candidates'), params);
+
         const total = filtered.length;
         const page = parseInt(params.page) || 1;
         const pageSize = parseInt(params.pageSize) || 50;
-        const start = (page - 1) * pageSize;
+        // An explicit offset wins over page, for lists that also change locally (e.g. Kanban columns)
+        const start = params.offset !== undefined ? parseInt(params.offset) || 0 : (page - 1) * pageSize;
         const end = start + pageSize;
 
         return {
@@ -233,11 +907,20 @@ class MockAPI {
         };
     }
 
+    // One read for the whole export, so a large export isn't many paged calls that can each fail
+    async exportCandidates(params = {}) {
+        await this.delay();
+        await this.initDB();
+
+        const transaction = this.db.transaction(['candidates'], 'readonly');
+        return this.filterCandidates(transaction.objectStore('candidates'), params);
+    }
+
     async updateCandidate(id, updates) {
         await this.delay();
         await this.initDB();
 
-        const transaction = this.db.transaction(['candidates'], 'readwrite');
+        const transaction = this.db.transaction(['candidates', 'jobs'], 'readwrite');
         const store = transaction.objectStore('candidates');
 
         const candidate = await new Promise(resolve => {
@@ -245,12 +928,156 @@ class MockAPI {
             request.onsuccess = () => resolve(request.result);
         });
 
-        const updatedCandidate = { ...candidate, ...updates };
+        if (!candidate) {
+            throw new Error('Candidate not found');
+        }
+
+        // `reason` only explains a stage change; it's kept in the history, not on the candidate
+        const { reason, ...fields } = updates;
+        const updatedCandidate = { ...candidate, ...fields };
+
+        if (fields.stage && fields.stage !== candidate.stage) {
+            const job = await new Promise(resolve => {
+                const request = transaction.objectStore('jobs').get(updatedCandidate.jobId);
+                request.onsuccess = () => resolve(request.result);
+            });
+            const pipeline = getPipeline(job);
+            if (!pipeline.some(stage => stage.id === fields.stage)) {
+                throw new ValidationError({ stage: `"${fields.stage}" is not a stage in this job's pipeline` });
+            }
+
+            const rule = findTransition(getTransitions(job), candidate.stage, fields.stage);
+            if (!rule) {
+                throw new ValidationError({
+                    stage: `Can't move from ${findStage(pipeline, candidate.stage).label} to ${findStage(pipeline, fields.stage).label}`
+                });
+            }
+            if (rule.requiresReason && !reason?.trim()) {
+                throw new ValidationError({ reason: 'A reason is required for this move' });
+            }
+
+            // Every stage change is appended to the candidate's history, whichever view made it
+            updatedCandidate.stageHistory = [
+                ...(candidate.stageHistory || []),
+                {
+                    from: candidate.stage,
+                    to: fields.stage,
+                    at: new Date(),
+                    by: CURRENT_USER.name,
+                    ...(reason?.trim() ? { reason: reason.trim() } : {})
+                }
+            ];
+        }
+
         store.put(updatedCandidate);
 
         return updatedCandidate;
     }
 
+    async addCandidateNote(candidateId, text) {
+        await this.delay();
+        await this.initDB();
+
+        const transaction = this.db.transaction(['candidates'], 'readwrite');
+        const store = transaction.objectStore('candidates');
+
+        const candidate = await new Promise(resolve => {
+            const request = store.get(candidateId);
+            request.onsuccess = () => resolve(request.result);
+        });
+
+        if (!candidate) {
+            throw new Error('Candidate not found');
+        }
+
+        const note = {
+            id: `note-${Date.now()}`,
+            text,
+            mentions: extractMentions(text),
+            author: CURRENT_USER.name,
+            createdAt: new Date()
+        };
+
+        store.put({ ...candidate, notes: [...(candidate.notes || []), note] });
+
+        return note;
+    }
+
+    async getCandidateStageCounts(jobId) {
+        await this.delay();
+        await this.initDB();
+
+        const transaction = this.db.transaction(['candidates'], 'readonly');
+        const store = transaction.objectStore('candidates');
+
+        const candidates = await this.getAll(store.index('jobId'), jobId);
+
+        return candidates.reduce((acc, candidate) => {
+            acc[candidate.stage] = (acc[candidate.stage] || 0) + 1;
+            return acc;
+        }, {});
+    }
+
+    async getAssessments() {
+        await this.delay();
+        await this.initDB();
+
+        const transaction = this.db.transaction(['assessments'], 'readonly');
+        const store = transaction.objectStore('assessments');
+
+        return this.getAll(store);
+    }
+
+    async getAssessmentTemplates() {
+        await this.delay();
+        await this.initDB();
+
+        const transaction = this.db.transaction(['assessmentTemplates'], 'readonly');
+        const store = transaction.objectStore('assessmentTemplates');
+
+        const templates = await this.getAll(store);
+        return templates.sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    async createAssessmentTemplate(name, assessment) {
+        await this.delay();
+        await this.initDB();
+
+        const transaction = this.db.transaction(['assessmentTemplates'], 'readwrite');
+        const store = transaction.objectStore('assessmentTemplates');
+
+        const trimmed = name.trim();
+        if (!trimmed) {
+            throw new ValidationError({ name: 'Template name is required' });
+        }
+
+        const existing = await this.getAll(store);
+        if (existing.some(template => template.name.toLowerCase() === trimmed.toLowerCase())) {
+            throw new ValidationError({ name: `A template called "${trimmed}" already exists` });
+        }
+
+        const template = {
+            id: `template-${Date.now()}`,
+            name: trimmed,
+            title: assessment.title,
+            passThreshold: assessment.passThreshold,
+            sections: assessment.sections,
+            createdAt: new Date(),
+            createdBy: CURRENT_USER.name
+        };
+        store.add(template);
+
+        return template;
+    }
+
+    async deleteAssessmentTemplate(id) {
+        await this.delay();
+        await this.initDB();
+
+        const transaction = this.db.transaction(['assessmentTemplates'], 'readwrite');
+        transaction.objectStore('assessmentTemplates').delete(id);
+    }
+
     async getAssessment(jobId) {
         await this.delay();
         await this.initDB();
@@ -264,28 +1091,416 @@ class MockAPI {
         });
     }
 
-    async updateAssessment(jobId, assessment) {
+    // Every save becomes a new numbered version; the assessments store holds the latest one
+    async updateAssessment(jobId, assessment, { restoredFrom } = {}) {
         await this.delay();
         await this.initDB();
 
-        const transaction = this.db.transaction(['assessments'], 'readwrite');
+        const transaction = this.db.transaction(['assessments', 'assessmentVersions'], 'readwrite');
         const store = transaction.objectStore('assessments');
+        const versionsStore = transaction.objectStore('assessmentVersions');
+
+        const current = await new Promise(resolve => {
+            const request = store.get(jobId);
+            request.onsuccess = () => resolve(request.result);
+        });
 
-        const updatedAssessment = { ...assessment, jobId };
+        // Assessments saved before versioning existed are kept as version 1 before they're overwritten
+        let latest = current?.version || 0;
+        if (current && !current.version) {
+            latest = 1;
+            versionsStore.put({ ...current, version: latest });
+        }
+
+        const { restoredFrom: _previous, ...content } = assessment;
+        const updatedAssessment = {
+            ...content,
+            jobId,
+            version: latest + 1,
+            updatedAt: new Date(),
+            updatedBy: CURRENT_USER.name,
+            ...(restoredFrom ? { restoredFrom } : {})
+        };
         store.put(updatedAssessment);
+        versionsStore.put(updatedAssessment);
 
         return updatedAssessment;
     }
+
+    async getAssessmentVersions(jobId) {
+        await this.delay();
+        await this.initDB();
+
+        const transaction = this.db.transaction(['assessmentVersions'], 'readonly');
+        const store = transaction.objectStore('assessmentVersions');
+
+        const versions = await this.getAll(store.index('jobId'), jobId);
+        return versions.sort((a, b) => b.version - a.version);
+    }
+
+    async getAssessmentVersion(jobId, version) {
+        await this.delay();
+        await this.initDB();
+
+        const transaction = this.db.transaction(['assessmentVersions'], 'readonly');
+        const store = transaction.objectStore('assessmentVersions');
+
+        return new Promise(resolve => {
+            const request = store.get([jobId, version]);
+            request.onsuccess = () => resolve(request.result);
+        });
+    }
+
+    // Restoring saves the old content as a new version, so the history itself is never rewritten
+    async restoreAssessmentVersion(jobId, version) {
+        const old = await this.getAssessmentVersion(jobId, version);
+        if (!old) {
+            throw new Error('Version not found');
+        }
+
+        return this.updateAssessment(jobId, old, { restoredFrom: version });
+    }
+
+    async getAssessmentResponse(candidateId, jobId) {
+        await this.delay();
+        await this.initDB();
+
+        const transaction = this.db.transaction(['responses'], 'readonly');
+        const store = transaction.objectStore('responses');
+
+        return new Promise(resolve => {
+            const request = store.get([candidateId, jobId]);
+            request.onsuccess = () => resolve(request.result);
+        });
+    }
+
+    async getCandidateResponses(candidateId) {
+        await this.delay();
+        await this.initDB();
+
+        const transaction = this.db.transaction(['responses'], 'readonly');
+        const store = transaction.objectStore('responses');
+
+        return this.getAll(store.index('candidateId'), candidateId);
+    }
+
+    // Records a reviewer's points for a manually graded question and re-scores the response
+    async gradeResponse(candidateId, jobId, questionId, points) {
+        await this.delay();
+        await this.initDB();
+
+        const transaction = this.db.transaction(['responses', 'assessments', 'assessmentVersions', 'candidates'], 'readwrite');
+        const store = transaction.objectStore('responses');
+
+        const [response, candidate] = await Promise.all([
+            new Promise(resolve => {
+                const request = store.get([candidateId, jobId]);
+                request.onsuccess = () => resolve(request.result);
+            }),
+            new Promise(resolve => {
+                const request = transaction.objectStore('candidates').get(candidateId);
+                request.onsuccess = () => resolve(request.result);
+            })
+        ]);
+
+        if (!response) {
+            throw new Error('Response not found');
+        }
+
+        // Grade against the version the candidate answered, not whatever the assessment has become since
+        const assessment = await new Promise(resolve => {
+            const request = response.assessmentVersion
+                ? transaction.objectStore('assessmentVersions').get([jobId, response.assessmentVersion])
+                : transaction.objectStore('assessments').get(jobId);
+            request.onsuccess = () => resolve(request.result);
+        });
+        if (!assessment) {
+            throw new Error('Assessment not found');
+        }
+
+        const question = assessment.sections.flatMap(section => section.questions).find(q => q.id === questionId);
+        if (!question || isAutoScored(question) || !(question.points > 0)) {
+            throw new ValidationError({ [questionId]: 'This question is not graded manually' });
+        }
+        if (!(points >= 0 && points <= question.points)) {
+            throw new ValidationError({ [questionId]: `Points must be between 0 and ${question.points}` });
+        }
+
+        const grades = { ...response.grades, [questionId]: points };
+        const score = scoreResponse(assessment, response.answers, grades);
+        const updated = { ...response, grades, score };
+        store.put(updated);
+        if (candidate && candidate.jobId === jobId) {
+            transaction.objectStore('candidates').put({ ...candidate, assessmentScore: summarizeScore(jobId, score) });
+        }
+
+        return updated;
+    }
+
+    async getFile(id) {
+        await this.delay();
+        await this.initDB();
+
+        const transaction = this.db.transaction(['files'], 'readonly');
+        const store = transaction.objectStore('files');
+
+        return new Promise((resolve, reject) => {
+            const request = store.get(id);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    // Stores a candidate's answers for a job's assessment; a candidate can submit once per job
+    async submitAssessmentResponse(candidateId, jobId, answers) {
+        await this.delay();
+        await this.initDB();
+
+        const transaction = this.db.transaction(['responses', 'assessments', 'candidates', 'files'], 'readwrite');
+        const store = transaction.objectStore('responses');
+
+        const [existing, assessment, candidate] = await Promise.all([
+            new Promise(resolve => {
+                const request = store.get([candidateId, jobId]);
+                request.onsuccess = () => resolve(request.result);
+            }),
+            new Promise(resolve => {
+                const request = transaction.objectStore('assessments').get(jobId);
+                request.onsuccess = () => resolve(request.result);
+            }),
+            new Promise(resolve => {
+                const request = transaction.objectStore('candidates').get(candidateId);
+                request.onsuccess = () => resolve(request.result);
+            })
+        ]);
+
+        if (!assessment) {
+            throw new Error('Assessment not found');
+        }
+        if (!candidate) {
+            throw new Error('Candidate not found');
+        }
+        if (existing) {
+            throw new ValidationError({ response: 'This assessment has already been submitted' });
+        }
+
+        // Uploaded files are re-checked against their question's rules, stored as Blobs in the files
+        // store, and replaced in the answers by a small reference
+        const questions = assessment.sections.flatMap(section => section.questions);
+        const storedAnswers = { ...answers };
+        for (const [questionId, value] of Object.entries(answers)) {
+            if (!(value instanceof Blob)) continue;
+
+            const question = questions.find(q => q.id === questionId);
+            const message = question ? validateAnswer(question, value) : 'Question not found';
+            if (message) {
+                throw new ValidationError({ [questionId]: message });
+            }
+
+            const file = {
+                id: `file-${candidateId}-${jobId}-${questionId}`,
+                name: value.name,
+                type: value.type,
+                size: value.size,
+                blob: value
+            };
+            transaction.objectStore('files').put(file);
+            storedAnswers[questionId] = { fileId: file.id, name: file.name, type: file.type, size: file.size };
+        }
+
+        const score = scoreResponse(assessment, storedAnswers);
+        const response = {
+            candidateId,
+            jobId,
+            answers: storedAnswers,
+            assessmentVersion: assessment.version,
+            grades: {},
+            score,
+            submittedAt: new Date()
+        };
+        store.add(response);
+        if (score) {
+            transaction.objectStore('candidates').put({ ...candidate, assessmentScore: summarizeScore(jobId, score) });
+        }
+
+        return response;
+    }
 }
 
 const api = new MockAPI();
 
+// Minimal History API router - in real app would use React Router
+const NAVIGATE_EVENT = 'talentflow:navigate';
+
+// Set by useNavigationBlocker while a page holds unsaved work
+let navigationBlocker = null;
+
+// Asks before leaving the current page; query-string changes on the same page never ask
+function confirmLeave(to) {
+    if (!navigationBlocker) return true;
+    if (to && new URL(to, window.location.origin).pathname === window.location.pathname) return true;
+
+    if (!confirm(navigationBlocker)) return false;
+    navigationBlocker = null;
+    return true;
+}
+
+function navigate(to, { replace = false } = {}) {
+    if (to === window.location.pathname + window.location.search) return;
+    if (!confirmLeave(to)) return;
+
+    // Track how deep we are in in-app history so goBack knows whether history.back() stays in the app
+    const idx = window.history.state?.idx ?? 0;
+    if (replace) {
+        window.history.replaceState({ idx }, '', to);
+    } else {
+        window.history.pushState({ idx: idx + 1 }, '', to);
+    }
+    window.dispatchEvent(new Event(NAVIGATE_EVENT));
+}
+
+function goBack(fallback) {
+    if (!confirmLeave()) return;
+
+    if (window.history.state?.idx > 0) {
+        window.history.back();
+    } else {
+        navigate(fallback);
+    }
+}
+
+// While `message` is set, in-app navigation asks for confirmation and closing the tab warns. The browser's
+// own back button can't be intercepted, so pages using this should keep their work recoverable.
+function useNavigationBlocker(message) {
+    useEffect(() => {
+        if (!message) return;
+
+        navigationBlocker = message;
+        const handleBeforeUnload = (e) => {
+            e.preventDefault();
+            e.returnValue = '';
+        };
+        window.addEventListener('beforeunload', handleBeforeUnload);
+
+        return () => {
+            if (navigationBlocker === message) navigationBlocker = null;
+            window.removeEventListener('beforeunload', handleBeforeUnload);
+        };
+    }, [message]);
+}
+
+function subscribeToLocation(callback) {
+    window.addEventListener('popstate', callback);
+    window.addEventListener(NAVIGATE_EVENT, callback);
+    return () => {
+        window.removeEventListener('popstate', callback);
+        window.removeEventListener(NAVIGATE_EVENT, callback);
+    };
+}
+
+const getLocationSnapshot = () => window.location.pathname + window.location.search;
+
+function useLocation() {
+    const href = useSyncExternalStore(subscribeToLocation, getLocationSnapshot);
+
+    return useMemo(() => {
+        const url = new URL(href, window.location.origin);
+        return {
+            pathname: url.pathname,
+            segments: url.pathname.split('/').filter(Boolean).map(decodeURIComponent),
+            query: url.searchParams
+        };
+    }, [href]);
+}
+
+// Mirrors a flat params object into the query string. Values equal to their default are omitted,
+// and numeric defaults are parsed back to numbers.
+function useQueryParams(defaults) {
+    const { pathname, query } = useLocation();
+
+    const params = useMemo(() => {
+        return Object.keys(defaults).reduce((acc, key) => {
+            const raw = query.get(key);
+            if (raw === null) {
+                acc[key] = defaults[key];
+            } else if (typeof defaults[key] === 'number') {
+                acc[key] = parseInt(raw) || defaults[key];
+            } else {
+                acc[key] = raw;
+            }
+            return acc;
+        }, {});
+    }, [defaults, query]);
+
+    const setParams = useCallback((next) => {
+        const search = new URLSearchParams();
+        Object.entries(next).forEach(([key, value]) => {
+            if (value !== '' && value !== null && value !== undefined && value !== defaults[key]) {
+                search.set(key, value);
+            }
+        });
+        const queryString = search.toString();
+        navigate(`${pathname}${queryString ? `?${queryString}` : ''}`, { replace: true });
+    }, [defaults, pathname]);
+
+    return [params, setParams];
+}
+
+const JOB_FILTER_DEFAULTS = { search: '', status: '', page: 1 };
+const CANDIDATE_FILTER_DEFAULTS = { search: '', stage: '', jobId: '', page: 1, view: 'list', paging: 'scroll' };
+
+const CANDIDATE_ROW_HEIGHT = 84;
+const CANDIDATE_PAGE_SIZE = 50;
+
+// Last loaded candidate list, so coming back from CandidateDetail restores rows and scroll position
+// instead of starting over at the top
+let candidateListCache = null;
+
+const KANBAN_PAGE_SIZE = 20;
+
+// `value` receives the candidate and its job
+const CANDIDATE_EXPORT_COLUMNS = [
+    { id: 'id', label: 'ID', value: candidate => candidate.id },
+    { id: 'name', label: 'Name', value: candidate => candidate.name, selected: true },
+    { id: 'email', label: 'Email', value: candidate => candidate.email, selected: true },
+    { id: 'job', label: 'Job', value: (candidate, job) => job?.title ?? candidate.jobId, selected: true },
+    { id: 'jobId', label: 'Job ID', value: candidate => candidate.jobId },
+    { id: 'stage', label: 'Stage', value: (candidate, job) => findStage(getPipeline(job), candidate.stage).label, selected: true },
+    { id: 'appliedAt', label: 'Applied at', value: candidate => new Date(candidate.appliedAt).toISOString(), selected: true },
+    {
+        id: 'score',
+        label: 'Assessment score (%)',
+        value: candidate => (candidate.assessmentScore?.jobId === candidate.jobId ? candidate.assessmentScore.percent : null)
+    },
+    { id: 'notes', label: 'Note count', value: candidate => candidate.notes?.length || 0 }
+];
+
 // Main App Component
 export default function TalentFlow() {
-    const [currentView, setCurrentView] = useState('jobs');
-    const [selectedJob, setSelectedJob] = useState(null);
-    const [selectedCandidate, setSelectedCandidate] = useState(null);
-    const [selectedAssessment, setSelectedAssessment] = useState(null);
+    const { segments } = useLocation();
+    const [currentView = 'jobs', routeParam, routeSubParam] = segments;
+
+    useEffect(() => {
+        if (segments.length === 0) {
+            navigate('/jobs', { replace: true });
+        }
+    }, [segments]);
+
+    const openJob = (job) => navigate(`/jobs/${encodeURIComponent(job.slug || job.id)}`);
+    const openCandidate = (candidateId) => navigate(`/candidates/${encodeURIComponent(candidateId)}`);
+    const openAssessment = (jobId) => navigate(`/assessments/${encodeURIComponent(jobId)}`);
+    const openJobCandidates = (jobId, filters = {}) => {
+        navigate(`/candidates?${new URLSearchParams({ jobId, ...filters })}`);
+    };
+
+    // Candidate-facing assessment: /take/:jobId/:candidateId, shown without the app navigation
+    if (currentView === 'take') {
+        return (
+            <div className="min-h-screen bg-gray-50 py-10">
+                <AssessmentRuntime key={`${routeParam}/${routeSubParam}`} jobId={routeParam} candidateId={routeSubParam} />
+            </div>
+        );
+    }
 
     return (
         <div className="min-h-screen bg-gray-50">
@@ -300,12 +1515,7 @@ export default function TalentFlow() {
                             {['jobs', 'candidates', 'assessments'].map(view => (
                                 <button
                                     key={view}
-                                    onClick={() => {
-                                        setCurrentView(view);
-                                        setSelectedJob(null);
-                                        setSelectedCandidate(null);
-                                        setSelectedAssessment(null);
-                                    }}
+                                    onClick={() => navigate(`/${view}`)}
                                     className={`px-3 py-2 rounded-md text-sm font-medium capitalize ${
                                         currentView === view
                                             ? 'bg-blue-100 text-blue-700'
@@ -322,51 +1532,75 @@ export default function TalentFlow() {
 
             {/* FIX: Removed all horizontal padding from the main wrapper */}
             <main className="py-6">
-                {currentView === 'jobs' && !selectedJob && !selectedAssessment && (
-                    <JobsView onSelectJob={setSelectedJob} onSelectAssessment={setSelectedAssessment} />
+                {currentView === 'jobs' && !routeParam && (
+                    <JobsView onSelectJob={openJob} onSelectAssessment={openAssessment} />
                 )}
 
-                {selectedJob && (
+                {currentView === 'jobs' && routeParam && (
                     <JobDetail
-                        job={selectedJob}
-                        onBack={() => setSelectedJob(null)}
-                        onSelectAssessment={setSelectedAssessment}
+                        key={routeParam}
+                        jobId={routeParam}
+                        onBack={() => goBack('/jobs')}
+                        onSelectAssessment={openAssessment}
+                        onViewCandidates={openJobCandidates}
                     />
                 )}
 
-                {selectedAssessment && (
-                    <AssessmentBuilder
-                        jobId={selectedAssessment}
-                        onBack={() => setSelectedAssessment(null)}
+                {currentView === 'candidates' && !routeParam && (
+                    <CandidatesView onSelectCandidate={openCandidate} />
+                )}
+
+                {currentView === 'candidates' && routeParam && (
+                    <CandidateDetail
+                        key={routeParam}
+                        candidateId={routeParam}
+                        onBack={() => goBack('/candidates')}
                     />
                 )}
 
-                {currentView === 'candidates' && !selectedCandidate && (
-                    <CandidatesView onSelectCandidate={setSelectedCandidate} />
+                {currentView === 'assessments' && !routeParam && (
+                    <AssessmentsView onSelectAssessment={openAssessment} />
                 )}
 
-                {selectedCandidate && (
-                    <CandidateDetail
-                        candidateId={selectedCandidate}
-                        onBack={() => setSelectedCandidate(null)}
+                {currentView === 'assessments' && routeParam && (
+                    <AssessmentBuilder
+                        key={routeParam}
+                        jobId={routeParam}
+                        onBack={() => goBack('/assessments')}
                     />
                 )}
 
-                {currentView === 'assessments' && !selectedAssessment && (
-                    <AssessmentsView onSelectAssessment={setSelectedAssessment} />
+                {!['jobs', 'candidates', 'assessments'].includes(currentView) && (
+                    <div className="text-center py-8">Page not found</div>
                 )}
             </main>
         </div>
     );
 }
 
+// Asks before archiving a job that still has candidates in open stages. Resolves false if it shouldn't go ahead.
+async function confirmArchiveJob(job) {
+    try {
+        const counts = await api.getCandidateStageCounts(job.id);
+        const openCount = getPipeline(job)
+            .filter(stage => !stage.closed)
+            .reduce((sum, stage) => sum + (counts[stage.id] || 0), 0);
+
+        return openCount === 0 || confirm(`"${job.title}" still has ${openCount} candidate(s) in open stages. Archive it anyway?`);
+    } catch {
+        alert('Failed to check candidates for this job');
+        return false;
+    }
+}
+
 // Jobs View Component
 function JobsView({ onSelectJob, onSelectAssessment }) {
     const [jobs, setJobs] = useState([]);
     const [loading, setLoading] = useState(true);
-    const [filters, setFilters] = useState({ search: '', status: '', page: 1 });
+    const [filters, setFilters] = useQueryParams(JOB_FILTER_DEFAULTS);
     const [pagination, setPagination] = useState({});
     const [showCreateModal, setShowCreateModal] = useState(false);
+    const [editingJob, setEditingJob] = useState(null);
     const [draggedJob, setDraggedJob] = useState(null);
 
     const loadJobs = useCallback(async () => {
@@ -390,34 +1624,80 @@ function JobsView({ onSelectJob, onSelectAssessment }) {
         setDraggedJob(job);
     };
 
+    // Puts a single job back where it was dragged from, leaving any other in-flight moves alone
+    const rollbackMove = (job, fromIndex) => {
+        setJobs(current => {
+            const next = current.filter(j => j.id !== job.id);
+            next.splice(fromIndex, 0, job);
+            return next;
+        });
+        // ESLint: 'alert' is not defined (This is a global browser function, but better practice is to avoid it)
+        alert(`Failed to move "${job.title}", rolling back...`);
+    };
+
     const handleDrop = async (targetJob) => {
-        if (!draggedJob || draggedJob.id === targetJob.id) return;
+        const job = draggedJob;
+        setDraggedJob(null);
+        if (!job || job.id === targetJob.id) return;
 
-        const optimisticJobs = [...jobs];
-        const draggedIndex = optimisticJobs.findIndex(j => j.id === draggedJob.id);
-        const targetIndex = optimisticJobs.findIndex(j => j.id === targetJob.id);
+        const fromIndex = jobs.findIndex(j => j.id === job.id);
 
         // Optimistic update
-        const [draggedItem] = optimisticJobs.splice(draggedIndex, 1);
-        optimisticJobs.splice(targetIndex, 0, draggedItem);
-        setJobs(optimisticJobs);
+        setJobs(current => {
+            const next = current.filter(j => j.id !== job.id);
+            next.splice(current.findIndex(j => j.id === targetJob.id), 0, job);
+            return next;
+        });
 
         try {
-            // Simulate reorder API call that might fail
-            await new Promise((resolve, reject) => {
-                setTimeout(() => {
-                    if (Math.random() < 0.1) reject(new Error('Reorder failed'));
-                    else resolve();
-                }, 500);
-            });
+            const changed = await api.reorderJob(job.id, targetJob.order);
+            const orders = Object.fromEntries(changed.map(j => [j.id, j.order]));
+            setJobs(current => current.map(j => (j.id in orders ? { ...j, order: orders[j.id] } : j)));
         } catch {
-            // Rollback on failure
-            loadJobs();
-            // ESLint: 'alert' is not defined (This is a global browser function, but better practice is to avoid it)
-            alert('Reorder failed, rolling back...');
+            rollbackMove(job, fromIndex);
+        }
+    };
+
+    const handleToggleArchive = async (job) => {
+        const status = job.status === 'archived' ? 'active' : 'archived';
+
+        if (status === 'archived' && !(await confirmArchiveJob(job))) return;
+
+        // Optimistic update
+        const setStatus = (value) => setJobs(current => current.map(j => (j.id === job.id ? { ...j, status: value } : j)));
+        setStatus(status);
+
+        try {
+            await api.updateJob(job.id, { status });
+            // The job has left the filtered list; refetch so the page and its counts fill back in
+            if (filters.status && filters.status !== status) loadJobs();
+        } catch {
+            setStatus(job.status);
+            alert(`Failed to ${status === 'archived' ? 'archive' : 'unarchive'} "${job.title}"`);
         }
+    };
 
+    // Dropping a job on a page number moves it to the top of that page
+    const handleDropOnPage = async (page) => {
+        const job = draggedJob;
         setDraggedJob(null);
+        if (!job || page === pagination.page) return;
+
+        const fromIndex = jobs.findIndex(j => j.id === job.id);
+
+        // Optimistic update
+        setJobs(current => current.filter(j => j.id !== job.id));
+
+        try {
+            const response = await api.getJobs({ ...filters, page, pageSize: pagination.pageSize });
+            const targetJob = response.data.find(j => j.id !== job.id);
+            if (targetJob) {
+                await api.reorderJob(job.id, targetJob.order);
+            }
+            loadJobs();
+        } catch {
+            rollbackMove(job, fromIndex);
+        }
     };
 
     return (
@@ -500,10 +1780,22 @@ function JobsView({ onSelectJob, onSelectAssessment }) {
                                     >
                                         <FileText className="h-5 w-5" />
                                     </button>
-                                    <button className="p-2 text-gray-400 hover:text-blue-600">
+                                    <button
+                                        onClick={() => setEditingJob(job)}
+                                        title="Edit job"
+                                        className="p-2 text-gray-400 hover:text-blue-600"
+                                    >
                                         <Edit className="h-5 w-5" />
                                     </button>
-                                    <button className="p-2 text-gray-400 hover:text-red-600">
+                                    <button
+                                        onClick={() => handleToggleArchive(job)}
+                                        title={job.status === 'archived' ? 'Unarchive job' : 'Archive job'}
+                                        className={`p-2 ${
+                                            job.status === 'archived'
+                                                ? 'text-gray-600 hover:text-green-600'
+                                                : 'text-gray-400 hover:text-red-600'
+                                        }`}
+                                    >
                                         <Archive className="h-5 w-5" />
                                     </button>
                                 </div>
@@ -520,6 +1812,8 @@ function JobsView({ onSelectJob, onSelectAssessment }) {
                         <button
                             key={i + 1}
                             onClick={() => setFilters({ ...filters, page: i + 1 })}
+                            onDragOver={(e) => e.preventDefault()}
+                            onDrop={() => handleDropOnPage(i + 1)}
                             className={`px-3 py-2 rounded ${
                                 pagination.page === i + 1
                                     ? 'bg-blue-600 text-white'
@@ -532,12 +1826,17 @@ function JobsView({ onSelectJob, onSelectAssessment }) {
                 </div>
             )}
 
-            {/* Create Job Modal */}
-            {showCreateModal && (
+            {/* Create / Edit Job Modal */}
+            {(showCreateModal || editingJob) && (
                 <CreateJobModal
-                    onClose={() => setShowCreateModal(false)}
-                    onCreated={() => {
+                    job={editingJob}
+                    onClose={() => {
+                        setShowCreateModal(false);
+                        setEditingJob(null);
+                    }}
+                    onSaved={() => {
                         setShowCreateModal(false);
+                        setEditingJob(null);
                         loadJobs();
                     }}
                 />
@@ -547,21 +1846,67 @@ function JobsView({ onSelectJob, onSelectAssessment }) {
 }
 
 // Job Detail Component
-function JobDetail({ job, onBack, onSelectAssessment }) {
-    return (
-        <div className="px-4 sm:px-6 lg:px-8">
-            <div className="flex items-center mb-6">
-                <button onClick={onBack} className="mr-4 p-2 text-gray-400 hover:text-gray-600">
-                    <ArrowLeft className="h-6 w-6" />
-                </button>
-                <h2 className="text-3xl font-bold text-gray-900">{job.title}</h2>
-            </div>
+function JobDetail({ jobId, onBack, onSelectAssessment, onViewCandidates }) {
+    const [job, setJob] = useState(null);
+    const [stageCounts, setStageCounts] = useState(null);
+    const [loading, setLoading] = useState(true);
 
-            <div className="bg-white rounded-lg shadow p-6 mb-6">
-                <div className="grid grid-cols-2 gap-6">
-                    <div>
-                        <h3 className="text-lg font-semibold mb-2">Job Details</h3>
-                        <p className="text-gray-600 mb-4">{job.description}</p>
+    useEffect(() => {
+        const loadJob = async () => {
+            try {
+                // Jobs are linked by slug; ids still resolve so older links keep working
+                const found = (await api.getJobBySlug(jobId)) || (await api.getJob(jobId));
+                setJob(found);
+                if (found) {
+                    setStageCounts(await api.getCandidateStageCounts(found.id));
+                }
+            } catch (error) {
+                console.error('Failed to load job:', error);
+            } finally {
+                setLoading(false);
+            }
+        };
+
+        loadJob();
+    }, [jobId]);
+
+    if (loading) {
+        return <div className="text-center py-8">Loading...</div>;
+    }
+
+    if (!job) {
+        return <div className="text-center py-8">Job not found</div>;
+    }
+
+    return (
+        <div className="px-4 sm:px-6 lg:px-8">
+            <div className="flex items-center mb-6">
+                <button onClick={onBack} className="mr-4 p-2 text-gray-400 hover:text-gray-600">
+                    <ArrowLeft className="h-6 w-6" />
+                </button>
+                <div>
+                    <h2 className="text-3xl font-bold text-gray-900">{job.title}</h2>
+                    {stageCounts && (
+                        <div className="flex flex-wrap gap-2 mt-2">
+                            {getPipeline(job).map(stage => (
+                                <button
+                                    key={stage.id}
+                                    onClick={() => onViewCandidates(job.id, { stage: stage.id })}
+                                    className={`px-2 py-1 rounded text-sm hover:opacity-80 ${STAGE_COLORS[stage.color] || STAGE_COLORS.gray}`}
+                                >
+                                    {stage.label}: <span className="font-semibold">{stageCounts[stage.id] || 0}</span>
+                                </button>
+                            ))}
+                        </div>
+                    )}
+                </div>
+            </div>
+
+            <div className="bg-white rounded-lg shadow p-6 mb-6">
+                <div className="grid grid-cols-2 gap-6">
+                    <div>
+                        <h3 className="text-lg font-semibold mb-2">Job Details</h3>
+                        <p className="text-gray-600 mb-4">{job.description}</p>
                         <div className="space-y-2">
                             <div className="flex items-center">
                                 <span className="font-medium mr-2">Status:</span>
@@ -587,27 +1932,348 @@ function JobDetail({ job, onBack, onSelectAssessment }) {
                                 <FileText className="h-4 w-4 mr-2" />
                                 Manage Assessment
                             </button>
-                            <button className="w-full bg-gray-600 text-white px-4 py-2 rounded hover:bg-gray-700 flex items-center justify-center">
+                            <button
+                                onClick={() => onViewCandidates(job.id)}
+                                className="w-full bg-gray-600 text-white px-4 py-2 rounded hover:bg-gray-700 flex items-center justify-center"
+                            >
                                 <Users className="h-4 w-4 mr-2" />
                                 View Candidates
                             </button>
+                            <button
+                                onClick={() => onViewCandidates(job.id, { view: 'kanban' })}
+                                className="w-full bg-white text-gray-700 border border-gray-300 px-4 py-2 rounded hover:bg-gray-50 flex items-center justify-center"
+                            >
+                                <Menu className="h-4 w-4 mr-2" />
+                                Open Pipeline Board
+                            </button>
                         </div>
                     </div>
                 </div>
             </div>
+
+            <div className="bg-white rounded-lg shadow p-6 mb-6">
+                <PipelineEditor job={job} onSaved={setJob} />
+            </div>
+
+            {CURRENT_USER.role === 'admin' && (
+                <div className="bg-white rounded-lg shadow p-6 mb-6">
+                    <TransitionRulesEditor key={getPipeline(job).map(stage => stage.id).join(',')} job={job} onSaved={setJob} />
+                </div>
+            )}
+        </div>
+    );
+}
+
+// Transition Rules Editor Component - admin-only matrix of which stage moves are allowed
+function TransitionRulesEditor({ job, onSaved }) {
+    const pipeline = getPipeline(job);
+    const [transitions, setTransitions] = useState(() => getTransitions(job));
+    const [saving, setSaving] = useState(false);
+    const [error, setError] = useState(null);
+
+    const ruleValue = (from, to) => {
+        const rule = findTransition(transitions, from, to);
+        if (!rule) return 'blocked';
+        return rule.requiresReason ? 'reason' : 'allowed';
+    };
+
+    const setRule = (from, to, value) => {
+        const others = transitions.filter(rule => !(rule.from === from && rule.to === to));
+        setTransitions(value === 'blocked' ? others : [...others, { from, to, requiresReason: value === 'reason' }]);
+    };
+
+    const save = async (next) => {
+        setSaving(true);
+        setError(null);
+        try {
+            const updatedJob = await api.updateJobTransitions(job.id, next);
+            setTransitions(getTransitions(updatedJob));
+            onSaved(updatedJob);
+        } catch (err) {
+            setError(err instanceof ValidationError ? err.fields.transitions : err.message || 'Failed to save stage rules');
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const cellClasses = {
+        blocked: 'bg-gray-50 text-gray-400',
+        allowed: 'bg-green-50 text-green-800',
+        reason: 'bg-yellow-50 text-yellow-800'
+    };
+
+    return (
+        <div>
+            <div className="flex justify-between items-center mb-4">
+                <div>
+                    <h3 className="text-lg font-semibold">Stage Rules</h3>
+                    <p className="text-sm text-gray-500">
+                        {job.transitions ? 'Custom rules for this job.' : 'Using the default rules for this pipeline.'}
+                    </p>
+                </div>
+                <div className="flex space-x-2">
+                    {job.transitions && (
+                        <button
+                            onClick={() => save(null)}
+                            disabled={saving}
+                            className="px-3 py-1 text-sm border border-gray-300 rounded hover:bg-gray-50 disabled:opacity-50"
+                        >
+                            Reset to Defaults
+                        </button>
+                    )}
+                    <button
+                        onClick={() => save(transitions)}
+                        disabled={saving}
+                        className="px-3 py-1 text-sm bg-blue-600 text-white rounded hover:bg-blue-700 disabled:opacity-50"
+                    >
+                        {saving ? 'Saving...' : 'Save Rules'}
+                    </button>
+                </div>
+            </div>
+
+            <div className="overflow-x-auto">
+                <table className="text-sm border-collapse">
+                    <thead>
+                        <tr>
+                            <th className="p-2 text-left text-gray-500 font-medium">From \ To</th>
+                            {pipeline.map(stage => (
+                                <th key={stage.id} className="p-2 text-left font-medium text-gray-700">{stage.label}</th>
+                            ))}
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {pipeline.map(from => (
+                            <tr key={from.id} className="border-t border-gray-100">
+                                <th className="p-2 text-left font-medium text-gray-700">{from.label}</th>
+                                {pipeline.map(to => (
+                                    <td key={to.id} className="p-1">
+                                        {from.id === to.id ? (
+                                            <span className="block text-center text-gray-300">—</span>
+                                        ) : (
+                                            <select
+                                                value={ruleValue(from.id, to.id)}
+                                                onChange={(e) => setRule(from.id, to.id, e.target.value)}
+                                                className={`w-full px-2 py-1 rounded border border-gray-200 ${cellClasses[ruleValue(from.id, to.id)]}`}
+                                            >
+                                                <option value="blocked">Blocked</option>
+                                                <option value="allowed">Allowed</option>
+                                                <option value="reason">Needs reason</option>
+                                            </select>
+                                        )}
+                                    </td>
+                                ))}
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+
+            {error && (
+                <p className="mt-3 text-sm text-red-600 flex items-center">
+                    <AlertCircle className="h-4 w-4 mr-1" />
+                    {error}
+                </p>
+            )}
+        </div>
+    );
+}
+
+// Pipeline Editor Component - ordered stages with labels and colors for one job
+function PipelineEditor({ job, onSaved }) {
+    const [editing, setEditing] = useState(false);
+    const [stages, setStages] = useState(() => getPipeline(job));
+    const [saving, setSaving] = useState(false);
+    const [error, setError] = useState(null);
+
+    const updateStage = (index, updates) => {
+        setStages(stages.map((stage, i) => (i === index ? { ...stage, ...updates } : stage)));
+    };
+
+    const moveStage = (index, direction) => {
+        const next = [...stages];
+        const [stage] = next.splice(index, 1);
+        next.splice(index + direction, 0, stage);
+        setStages(next);
+    };
+
+    const addStage = () => {
+        // New stages get their id from the label when saved
+        const firstClosed = stages.findIndex(stage => stage.closed);
+        const next = [...stages];
+        next.splice(firstClosed === -1 ? next.length : firstClosed, 0, {
+            id: null,
+            tempId: `new-${Date.now()}`,
+            label: 'New Stage',
+            color: 'teal'
+        });
+        setStages(next);
+    };
+
+    const handleSave = async () => {
+        const usedIds = new Set(stages.filter(stage => stage.id).map(stage => stage.id));
+        const withIds = stages.map(stage => {
+            let id = stage.id;
+            if (!id) {
+                const base = slugify(stage.label) || 'stage';
+                id = base;
+                for (let n = 2; usedIds.has(id); n++) id = `${base}-${n}`;
+                usedIds.add(id);
+            }
+            return { id, label: stage.label, color: stage.color, closed: stage.closed };
+        });
+
+        setSaving(true);
+        setError(null);
+        try {
+            const updatedJob = await api.updateJobStages(job.id, withIds);
+            setStages(getPipeline(updatedJob));
+            setEditing(false);
+            onSaved(updatedJob);
+        } catch (err) {
+            setError(err instanceof ValidationError ? err.fields.stages : 'Failed to save pipeline');
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    if (!editing) {
+        return (
+            <div>
+                <div className="flex justify-between items-center mb-4">
+                    <h3 className="text-lg font-semibold">Pipeline Stages</h3>
+                    <button
+                        onClick={() => setEditing(true)}
+                        className="px-3 py-1 text-sm border border-gray-300 rounded hover:bg-gray-50 flex items-center"
+                    >
+                        <Edit className="h-4 w-4 mr-1" />
+                        Edit Pipeline
+                    </button>
+                </div>
+                <div className="flex flex-wrap items-center gap-2">
+                    {getPipeline(job).map((stage, index) => (
+                        <React.Fragment key={stage.id}>
+                            {index > 0 && <ChevronRight className="h-4 w-4 text-gray-300" />}
+                            <span className={`px-2 py-1 rounded text-sm ${STAGE_COLORS[stage.color] || STAGE_COLORS.gray}`}>
+                                {stage.label}
+                            </span>
+                        </React.Fragment>
+                    ))}
+                </div>
+            </div>
+        );
+    }
+
+    return (
+        <div>
+            <div className="flex justify-between items-center mb-4">
+                <h3 className="text-lg font-semibold">Pipeline Stages</h3>
+                <button
+                    onClick={addStage}
+                    className="px-3 py-1 text-sm bg-green-600 text-white rounded hover:bg-green-700 flex items-center"
+                >
+                    <Plus className="h-4 w-4 mr-1" />
+                    Add Stage
+                </button>
+            </div>
+
+            <div className="space-y-2">
+                {stages.map((stage, index) => (
+                    <div key={stage.id || stage.tempId} className="flex items-center space-x-2">
+                        <div className="flex flex-col">
+                            <button
+                                onClick={() => moveStage(index, -1)}
+                                disabled={index === 0}
+                                className="text-gray-400 hover:text-gray-700 disabled:opacity-30 text-xs"
+                            >
+                                ▲
+                            </button>
+                            <button
+                                onClick={() => moveStage(index, 1)}
+                                disabled={index === stages.length - 1}
+                                className="text-gray-400 hover:text-gray-700 disabled:opacity-30 text-xs"
+                            >
+                                ▼
+                            </button>
+                        </div>
+                        <input
+                            type="text"
+                            value={stage.label}
+                            onChange={(e) => updateStage(index, { label: e.target.value })}
+                            className="flex-1 px-3 py-2 border border-gray-300 rounded-md text-sm"
+                        />
+                        <select
+                            value={stage.color}
+                            onChange={(e) => updateStage(index, { color: e.target.value })}
+                            className="px-3 py-2 border border-gray-300 rounded-md text-sm capitalize"
+                        >
+                            {Object.keys(STAGE_COLORS).map(color => (
+                                <option key={color} value={color}>{color}</option>
+                            ))}
+                        </select>
+                        <span className={`px-2 py-1 rounded text-sm w-28 truncate ${STAGE_COLORS[stage.color]}`}>
+                            {stage.label || '—'}
+                        </span>
+                        <label className="flex items-center text-sm text-gray-700" title="Closed stages don't count as open candidates">
+                            <input
+                                type="checkbox"
+                                checked={Boolean(stage.closed)}
+                                onChange={(e) => updateStage(index, { closed: e.target.checked })}
+                                className="mr-1"
+                            />
+                            Closed
+                        </label>
+                        <button
+                            onClick={() => setStages(stages.filter((_, i) => i !== index))}
+                            className="p-1 text-gray-400 hover:text-red-600"
+                            title="Remove stage"
+                        >
+                            <X className="h-4 w-4" />
+                        </button>
+                    </div>
+                ))}
+            </div>
+
+            {error && (
+                <p className="mt-3 text-sm text-red-600 flex items-center">
+                    <AlertCircle className="h-4 w-4 mr-1" />
+                    {error}
+                </p>
+            )}
+
+            <div className="flex justify-end space-x-3 pt-4">
+                <button
+                    onClick={() => {
+                        setStages(getPipeline(job));
+                        setError(null);
+                        setEditing(false);
+                    }}
+                    className="px-4 py-2 text-gray-700 border border-gray-300 rounded-md hover:bg-gray-50"
+                >
+                    Cancel
+                </button>
+                <button
+                    onClick={handleSave}
+                    disabled={saving}
+                    className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50"
+                >
+                    {saving ? 'Saving...' : 'Save Pipeline'}
+                </button>
+            </div>
         </div>
     );
 }
 
-// Create Job Modal Component
-function CreateJobModal({ onClose, onCreated }) {
+// Create Job Modal Component - pass `job` to edit an existing job with the same form
+function CreateJobModal({ job, onClose, onSaved }) {
+    const isEditing = Boolean(job);
     const [formData, setFormData] = useState({
-        title: '',
-        slug: '',
-        tags: '',
-        status: 'active'
+        title: job?.title || '',
+        slug: job?.slug || '',
+        tags: job?.tags?.join(', ') || '',
+        status: job?.status || 'active'
     });
     const [loading, setLoading] = useState(false);
+    const [fieldErrors, setFieldErrors] = useState({});
 
     const handleSubmit = async (e) => {
         e.preventDefault();
@@ -616,18 +2282,32 @@ function CreateJobModal({ onClose, onCreated }) {
             alert('Title is required');
             return;
         }
+        // Archiving from the form gets the same open-candidates check as the archive button
+        if (isEditing && formData.status === 'archived' && job.status !== 'archived' && !(await confirmArchiveJob(job))) {
+            return;
+        }
 
         setLoading(true);
+        setFieldErrors({});
         try {
-            await api.createJob({
+            const payload = {
                 ...formData,
                 tags: formData.tags.split(',').map(t => t.trim()).filter(Boolean),
-                slug: formData.slug || formData.title.toLowerCase().replace(/\s+/g, '-')
-            });
-            onCreated();
-        } catch {
+                slug: slugify(formData.slug || formData.title)
+            };
+            if (isEditing) {
+                await api.updateJob(job.id, payload);
+            } else {
+                await api.createJob(payload);
+            }
+            onSaved();
+        } catch (error) {
+            if (error instanceof ValidationError) {
+                setFieldErrors(error.fields);
+                return;
+            }
             // ESLint: 'alert' is not defined
-            alert('Failed to create job');
+            alert(isEditing ? 'Failed to save job' : 'Failed to create job');
         } finally {
             setLoading(false);
         }
@@ -637,7 +2317,7 @@ function CreateJobModal({ onClose, onCreated }) {
         <div className="fixed inset-0 bg-gray-600 bg-opacity-50 flex items-center justify-center z-50">
             <div className="bg-white rounded-lg p-6 w-full max-w-md">
                 <div className="flex justify-between items-center mb-4">
-                    <h3 className="text-lg font-semibold">Create New Job</h3>
+                    <h3 className="text-lg font-semibold">{isEditing ? 'Edit Job' : 'Create New Job'}</h3>
                     <button onClick={onClose} className="text-gray-400 hover:text-gray-600">
                         <X className="h-6 w-6" />
                     </button>
@@ -664,9 +2344,21 @@ function CreateJobModal({ onClose, onCreated }) {
                         <input
                             type="text"
                             value={formData.slug}
-                            onChange={(e) => setFormData({ ...formData, slug: e.target.value })}
-                            className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                            onChange={(e) => {
+                                setFormData({ ...formData, slug: e.target.value });
+                                setFieldErrors({ ...fieldErrors, slug: undefined });
+                            }}
+                            placeholder={slugify(formData.title)}
+                            className={`w-full px-3 py-2 border rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 ${
+                                fieldErrors.slug ? 'border-red-500' : 'border-gray-300'
+                            }`}
                         />
+                        {fieldErrors.slug && (
+                            <p className="mt-1 text-sm text-red-600 flex items-center">
+                                <AlertCircle className="h-4 w-4 mr-1" />
+                                {fieldErrors.slug}
+                            </p>
+                        )}
                     </div>
 
                     <div>
@@ -709,7 +2401,9 @@ function CreateJobModal({ onClose, onCreated }) {
                             disabled={loading}
                             className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50"
                         >
-                            {loading ? 'Creating...' : 'Create Job'}
+                            {isEditing
+                                ? (loading ? 'Saving...' : 'Save Changes')
+                                : (loading ? 'Creating...' : 'Create Job')}
                         </button>
                     </div>
                 </form>
@@ -720,42 +2414,111 @@ function CreateJobModal({ onClose, onCreated }) {
 
 // Candidates View Component
 function CandidatesView({ onSelectCandidate }) {
-    const [candidates, setCandidates] = useState([]);
-    const [loading, setLoading] = useState(true);
-    const [filters, setFilters] = useState({ search: '', stage: '', page: 1 });
-    const [pagination, setPagination] = useState({});
-    const [viewMode, setViewMode] = useState('list');
+    const [filters, setFilters] = useQueryParams(CANDIDATE_FILTER_DEFAULTS);
+    const { search, stage, jobId, page, paging } = filters;
+    const viewMode = filters.view;
+    const setViewMode = (view) => setFilters({ ...filters, view });
+    const [jobs, setJobs] = useState(null);
+    const [showImport, setShowImport] = useState(false);
+    const [showExport, setShowExport] = useState(false);
+    // Bumped after an import so the board remounts and reloads its columns
+    const [boardKey, setBoardKey] = useState(0);
+
+    // The stage filter, badges and board columns follow the selected job's pipeline,
+    // or every stage in use when looking across jobs
+    const jobsById = useMemo(() => new Map((jobs || []).map(job => [job.id, job])), [jobs]);
+    const stages = useMemo(() => {
+        return jobId ? getPipeline(jobsById.get(jobId)) : mergePipelines(jobs || []);
+    }, [jobId, jobs, jobsById]);
+
+    const cacheKey = JSON.stringify({ search, stage, jobId, page, paging });
+    const cached = candidateListCache?.key === cacheKey ? candidateListCache : null;
+
+    const [candidates, setCandidates] = useState(() => cached?.candidates || []);
+    const [pagination, setPagination] = useState(() => cached?.pagination || {});
+    const [loading, setLoading] = useState(!cached);
+    const [loadingMore, setLoadingMore] = useState(false);
+    const loadedKeyRef = useRef(cached ? cacheKey : null);
+    const requestRef = useRef(0);
 
     const loadCandidates = useCallback(async () => {
+        const requestId = ++requestRef.current;
         setLoading(true);
         try {
-            const response = await api.getCandidates(filters);
+            const response = await api.getCandidates({
+                search,
+                stage,
+                jobId,
+                page: paging === 'pages' ? page : 1,
+                pageSize: CANDIDATE_PAGE_SIZE
+            });
+            if (requestId !== requestRef.current) return;
             setCandidates(response.data);
             setPagination(response.pagination);
+            candidateListCache = { key: cacheKey, candidates: response.data, pagination: response.pagination, scrollTop: 0 };
         } catch (error) {
             console.error('Failed to load candidates:', error);
         } finally {
-            setLoading(false);
+            if (requestId === requestRef.current) setLoading(false);
         }
-    }, [filters]);
+    }, [cacheKey, search, stage, jobId, page, paging]);
+
+    // Infinite scroll: append the next page when the list nears its end
+    const loadMore = useCallback(async () => {
+        if (paging !== 'scroll' || loading || loadingMore || candidates.length >= pagination.total) return;
+
+        const requestId = requestRef.current;
+        setLoadingMore(true);
+        try {
+            const response = await api.getCandidates({
+                search,
+                stage,
+                jobId,
+                page: pagination.page + 1,
+                pageSize: CANDIDATE_PAGE_SIZE
+            });
+            if (requestId !== requestRef.current) return;
+            const nextCandidates = [...candidates, ...response.data];
+            setCandidates(nextCandidates);
+            setPagination(response.pagination);
+            candidateListCache = { ...candidateListCache, candidates: nextCandidates, pagination: response.pagination };
+        } catch (error) {
+            console.error('Failed to load more candidates:', error);
+        } finally {
+            setLoadingMore(false);
+        }
+    }, [search, stage, jobId, paging, loading, loadingMore, candidates, pagination]);
 
     useEffect(() => {
+        // The board loads its own columns; skip the fetch when these rows were restored from the cache
+        if (viewMode !== 'list' || loadedKeyRef.current === cacheKey) return;
+        loadedKeyRef.current = cacheKey;
+        candidateListCache = null;
         loadCandidates();
-    }, [loadCandidates]);
+    }, [viewMode, cacheKey, loadCandidates]);
 
-    const stages = ['applied', 'screen', 'tech', 'offer', 'hired', 'rejected'];
-    const stageColors = {
-        applied: 'bg-blue-100 text-blue-800',
-        screen: 'bg-yellow-100 text-yellow-800',
-        tech: 'bg-purple-100 text-purple-800',
-        offer: 'bg-orange-100 text-orange-800',
-        hired: 'bg-green-100 text-green-800',
-        rejected: 'bg-red-100 text-red-800'
-    };
+    useEffect(() => {
+        const loadJobs = async () => {
+            try {
+                const response = await api.getJobs({ pageSize: 1000 });
+                setJobs(response.data);
+            } catch (error) {
+                console.error('Failed to load jobs:', error);
+            }
+        };
 
-    if (viewMode === 'kanban') {
-        return <KanbanBoard candidates={candidates} onSelectCandidate={onSelectCandidate} onUpdateCandidate={loadCandidates} />;
-    }
+        loadJobs();
+    }, []);
+
+    const handleImported = () => {
+        candidateListCache = null;
+        if (viewMode === 'list') {
+            loadCandidates();
+        } else {
+            loadedKeyRef.current = null;
+        }
+        setBoardKey(key => key + 1);
+    };
 
     return (
         // FIX: Removed horizontal padding to let content expand fully
@@ -764,6 +2527,22 @@ function CandidatesView({ onSelectCandidate }) {
             <div className="flex justify-between items-center mb-6 px-4 sm:px-6 lg:px-8">
                 <h2 className="text-3xl font-bold text-gray-900">Candidates</h2>
                 <div className="flex space-x-2">
+                    <button
+                        onClick={() => setShowImport(true)}
+                        disabled={!jobs}
+                        className="px-4 py-2 rounded border border-gray-300 text-gray-700 hover:bg-gray-50 flex items-center disabled:opacity-50"
+                    >
+                        <Upload className="h-4 w-4 mr-2" />
+                        Import CSV
+                    </button>
+                    <button
+                        onClick={() => setShowExport(true)}
+                        disabled={!jobs}
+                        className="px-4 py-2 rounded border border-gray-300 text-gray-700 hover:bg-gray-50 flex items-center disabled:opacity-50"
+                    >
+                        <Download className="h-4 w-4 mr-2" />
+                        Export
+                    </button>
                     <button
                         onClick={() => setViewMode('list')}
                         className={`px-4 py-2 rounded ${viewMode === 'list' ? 'bg-blue-600 text-white' : 'bg-gray-200 text-gray-700'}`}
@@ -785,158 +2564,939 @@ function CandidatesView({ onSelectCandidate }) {
                     <div className="flex-1">
                         <input
                             type="text"
-                            placeholder="Search candidates..."
+                            placeholder="Search candidates or notes..."
                             value={filters.search}
                             onChange={(e) => setFilters({ ...filters, search: e.target.value, page: 1 })}
                             className="w-full px-3 py-2 border border-gray-300 rounded-md"
                         />
                     </div>
+                    {viewMode === 'list' && (
+                        <select
+                            value={filters.stage}
+                            onChange={(e) => setFilters({ ...filters, stage: e.target.value, page: 1 })}
+                            className="px-3 py-2 border border-gray-300 rounded-md"
+                        >
+                            <option value="">All Stages</option>
+                            {stages.map(stage => (
+                                <option key={stage.id} value={stage.id}>{stage.label}</option>
+                            ))}
+                        </select>
+                    )}
                     <select
-                        value={filters.stage}
-                        onChange={(e) => setFilters({ ...filters, stage: e.target.value, page: 1 })}
-                        className="px-3 py-2 border border-gray-300 rounded-md"
+                        value={filters.jobId}
+                        onChange={(e) => setFilters({ ...filters, jobId: e.target.value, page: 1 })}
+                        className="px-3 py-2 border border-gray-300 rounded-md max-w-xs"
                     >
-                        <option value="">All Stages</option>
-                        {stages.map(stage => (
-                            <option key={stage} value={stage} className="capitalize">{stage}</option>
+                        <option value="">All Jobs</option>
+                        {(jobs || []).map(job => (
+                            <option key={job.id} value={job.id}>{job.title}</option>
                         ))}
                     </select>
                 </div>
             </div>
 
-            {/* Candidates List */}
-            <div className="bg-white rounded-lg shadow overflow-hidden mx-4 sm:mx-6 lg:mx-8">
-                {loading ? (
-                    <div className="text-center py-8">Loading...</div>
+            {viewMode === 'kanban' && (
+                jobs ? (
+                    <KanbanBoard
+                        key={boardKey}
+                        stages={stages}
+                        jobsById={jobsById}
+                        search={search}
+                        jobId={jobId}
+                        onSelectCandidate={onSelectCandidate}
+                    />
                 ) : (
-                    <div className="divide-y divide-gray-200">
-                        {candidates.map((candidate) => (
-                            <div
-                                key={candidate.id}
-                                className="p-4 hover:bg-gray-50 cursor-pointer"
-                                onClick={() => onSelectCandidate(candidate.id)}
+                    <div className="text-center py-8">Loading...</div>
+                )
+            )}
+
+            {viewMode === 'list' && (
+                <>
+                {/* List toolbar */}
+                <div className="flex justify-between items-center mb-2 mx-4 sm:mx-6 lg:mx-8 text-sm text-gray-500">
+                    <span>
+                        {loading ? 'Loading...' : `Showing ${candidates.length} of ${pagination.total || 0} candidates`}
+                    </span>
+                    <div className="flex space-x-1">
+                        {[['scroll', 'Infinite scroll'], ['pages', 'Pages']].map(([mode, label]) => (
+                            <button
+                                key={mode}
+                                onClick={() => setFilters({ ...filters, paging: mode, page: 1 })}
+                                className={`px-2 py-1 rounded ${paging === mode ? 'bg-gray-200 text-gray-900' : 'hover:bg-gray-100'}`}
                             >
-                                <div className="flex items-center justify-between">
-                                    <div className="flex items-center space-x-4">
-                                        <div className="h-10 w-10 bg-blue-500 rounded-full flex items-center justify-center text-white font-medium">
-                                            {candidate.name.charAt(0)}
+                                {label}
+                            </button>
+                        ))}
+                    </div>
+                </div>
+
+                {/* Candidates List */}
+                <div className="bg-white rounded-lg shadow overflow-hidden mx-4 sm:mx-6 lg:mx-8">
+                    {loading ? (
+                        <div className="text-center py-8">Loading...</div>
+                    ) : (
+                        <VirtualList
+                            items={candidates}
+                            rowHeight={CANDIDATE_ROW_HEIGHT}
+                            height="70vh"
+                            initialScrollTop={cached?.scrollTop || 0}
+                            onScroll={(scrollTop) => {
+                                if (candidateListCache) candidateListCache.scrollTop = scrollTop;
+                            }}
+                            onEndReached={loadMore}
+                            footer={loadingMore && <div className="text-center py-4 text-gray-500">Loading more...</div>}
+                            renderItem={(candidate) => (
+                                <div
+                                    className="h-full p-4 border-b border-gray-200 hover:bg-gray-50 cursor-pointer"
+                                    onClick={() => onSelectCandidate(candidate.id)}
+                                >
+                                    <div className="flex items-center justify-between">
+                                        <div className="flex items-center space-x-4">
+                                            <div className="h-10 w-10 bg-blue-500 rounded-full flex items-center justify-center text-white font-medium">
+                                                {candidate.name.charAt(0)}
+                                            </div>
+                                            <div>
+                                                <h3 className="text-lg font-medium text-gray-900">{candidate.name}</h3>
+                                                <p className="text-gray-500">{candidate.email}</p>
+                                            </div>
                                         </div>
-                                        <div>
-                                            <h3 className="text-lg font-medium text-gray-900">{candidate.name}</h3>
-                                            <p className="text-gray-500">{candidate.email}</p>
+                                        <div className="flex items-center space-x-4">
+                                    <StageBadge stage={findStage(getPipeline(jobsById.get(candidate.jobId)), candidate.stage)} />
+                                            <span className="text-gray-400">{new Date(candidate.appliedAt).toLocaleDateString()}</span>
                                         </div>
                                     </div>
-                                    <div className="flex items-center space-x-4">
-                                <span className={`px-2 py-1 rounded text-sm capitalize ${stageColors[candidate.stage]}`}>
-                                    {candidate.stage}
-                                </span>
-                                        <span className="text-gray-400">{new Date(candidate.appliedAt).toLocaleDateString()}</span>
-                                    </div>
                                 </div>
-                            </div>
-                        ))}
-                    </div>
+                            )}
+                        />
+                    )}
+                </div>
+
+                {/* Pagination */}
+                {paging === 'pages' && pagination.totalPages > 1 && (
+                    <CompactPagination
+                        page={pagination.page}
+                        totalPages={pagination.totalPages}
+                        onChange={(nextPage) => setFilters({ ...filters, page: nextPage })}
+                    />
                 )}
-            </div>
+                </>
+            )}
 
-            {/* Pagination */}
-            {pagination.totalPages > 1 && (
-                <div className="flex justify-center space-x-2 mt-6">
-                    {Array.from({ length: pagination.totalPages }, (_, i) => (
-                        <button
-                            key={i + 1}
-                            onClick={() => setFilters({ ...filters, page: i + 1 })}
-                            className={`px-3 py-2 rounded ${
-                                pagination.page === i + 1
-                                    ? 'bg-blue-600 text-white'
-                                    : 'bg-white text-gray-700 hover:bg-gray-50'
-                            }`}
-                        >
-                            {i + 1}
-                        </button>
-                    ))}
-                </div>
+            {/* The board shows every stage, so the stage filter only applies to the list */}
+            {showExport && (
+                <CandidateExportModal
+                    filters={{ search, stage: viewMode === 'list' ? stage : '', jobId }}
+                    jobsById={jobsById}
+                    stages={stages}
+                    onClose={() => setShowExport(false)}
+                />
+            )}
+
+            {showImport && (
+                <CandidateImportModal
+                    jobs={jobs}
+                    onClose={() => setShowImport(false)}
+                    onImported={handleImported}
+                />
             )}
         </div>
     );
 }
 
-// Kanban Board Component
-function KanbanBoard({ candidates, onSelectCandidate, onUpdateCandidate }) {
-    const [draggedCandidate, setDraggedCandidate] = useState(null);
+// Candidate Export Modal Component - every candidate matching the current filters, as CSV or JSON
+function CandidateExportModal({ filters, jobsById, stages, onClose }) {
+    const [format, setFormat] = useState('csv');
+    const [columns, setColumns] = useState(() => CANDIDATE_EXPORT_COLUMNS.filter(column => column.selected).map(column => column.id));
+    const [exporting, setExporting] = useState(false);
+    const [error, setError] = useState(null);
+
+    const toggleColumn = (id, checked) => {
+        // Keep the columns in their canonical order whatever order they're ticked in
+        setColumns(CANDIDATE_EXPORT_COLUMNS
+            .map(column => column.id)
+            .filter(columnId => (columnId === id ? checked : columns.includes(columnId))));
+    };
 
-    const stages = ['applied', 'screen', 'tech', 'offer', 'hired', 'rejected'];
-    const stageLabels = {
-        applied: 'Applied',
-        screen: 'Screening',
-        tech: 'Technical',
-        offer: 'Offer',
-        hired: 'Hired',
-        rejected: 'Rejected'
+    const runExport = async () => {
+        setError(null);
+        setExporting(true);
+        try {
+            // Every match for the filters, not just the rows on screen
+            const candidates = await api.exportCandidates(filters);
+
+            const selected = CANDIDATE_EXPORT_COLUMNS.filter(column => columns.includes(column.id));
+            const values = (candidate) => selected.map(column => column.value(candidate, jobsById.get(candidate.jobId)));
+            const stamp = new Date().toISOString().slice(0, 10);
+
+            if (format === 'csv') {
+                const csv = toCSV([selected.map(column => column.label), ...candidates.map(values)]);
+                downloadBlob(new Blob([csv], { type: 'text/csv' }), `candidates-${stamp}.csv`);
+            } else {
+                const records = candidates.map(candidate => {
+                    const row = values(candidate);
+                    return Object.fromEntries(selected.map((column, index) => [column.id, row[index]]));
+                });
+                downloadBlob(new Blob([JSON.stringify(records, null, 2)], { type: 'application/json' }), `candidates-${stamp}.json`);
+            }
+            onClose();
+        } catch (err) {
+            console.error('Failed to export candidates:', err);
+            setError('The export failed. Please try again.');
+            setExporting(false);
+        }
     };
 
-    const candidatesByStage = useMemo(() => {
-        return stages.reduce((acc, stage) => {
-            acc[stage] = candidates.filter(c => c.stage === stage);
-            return acc;
-        }, {});
-    }, [candidates]);
+    const filterSummary = [
+        filters.search && `matching "${filters.search}"`,
+        filters.stage && `in ${findStage(stages, filters.stage).label}`,
+        filters.jobId && `for ${jobsById.get(filters.jobId)?.title || filters.jobId}`
+    ].filter(Boolean);
+
+    return (
+        <div className="fixed inset-0 bg-gray-600 bg-opacity-50 flex items-center justify-center z-50">
+            <div className="bg-white rounded-lg p-6 w-full max-w-md">
+                <div className="flex justify-between items-center mb-4">
+                    <h3 className="text-lg font-semibold">Export Candidates</h3>
+                    <button onClick={onClose} className="text-gray-400 hover:text-gray-600">
+                        <X className="h-6 w-6" />
+                    </button>
+                </div>
+
+                <div className="space-y-4">
+                    <p className="text-sm text-gray-600">
+                        Exports all candidates{filterSummary.length ? ` ${filterSummary.join(', ')}` : ''}.
+                    </p>
+
+                    <div>
+                        <span className="block text-sm font-medium text-gray-700 mb-1">Format</span>
+                        <div className="flex space-x-4 text-sm">
+                            {[['csv', 'CSV'], ['json', 'JSON']].map(([value, label]) => (
+                                <label key={value} className="flex items-center">
+                                    <input
+                                        type="radio"
+                                        name="export-format"
+                                        checked={format === value}
+                                        onChange={() => setFormat(value)}
+                                        className="mr-2"
+                                    />
+                                    {label}
+                                </label>
+                            ))}
+                        </div>
+                    </div>
+
+                    <div>
+                        <span className="block text-sm font-medium text-gray-700 mb-1">Columns</span>
+                        <div className="grid grid-cols-2 gap-1 text-sm">
+                            {CANDIDATE_EXPORT_COLUMNS.map(column => (
+                                <label key={column.id} className="flex items-center">
+                                    <input
+                                        type="checkbox"
+                                        checked={columns.includes(column.id)}
+                                        onChange={(e) => toggleColumn(column.id, e.target.checked)}
+                                        className="mr-2"
+                                    />
+                                    {column.label}
+                                </label>
+                            ))}
+                        </div>
+                    </div>
+
+                    {error && <p className="text-sm text-red-600">{error}</p>}
+
+                    <div className="flex justify-end space-x-3">
+                        <button
+                            type="button"
+                            onClick={onClose}
+                            className="px-4 py-2 text-gray-700 border border-gray-300 rounded-md hover:bg-gray-50"
+                        >
+                            Cancel
+                        </button>
+                        <button
+                            onClick={runExport}
+                            disabled={exporting || columns.length === 0}
+                            className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50"
+                        >
+                            {exporting ? 'Exporting...' : 'Export'}
+                        </button>
+                    </div>
+                </div>
+            </div>
+        </div>
+    );
+}
+
+// Candidate Import Modal Component - CSV upload, column mapping and a checked preview before anything is written
+function CandidateImportModal({ jobs, onClose, onImported }) {
+    const [file, setFile] = useState(null);
+    const [headers, setHeaders] = useState([]);
+    const [rows, setRows] = useState([]);
+    const [mapping, setMapping] = useState({});
+    const [defaultJobId, setDefaultJobId] = useState('');
+    const [existingEmails, setExistingEmails] = useState(new Set());
+    const [emailCheck, setEmailCheck] = useState('pending');
+    const [emailCheckAttempt, setEmailCheckAttempt] = useState(0);
+    const [parseError, setParseError] = useState(null);
+    const [importing, setImporting] = useState(false);
+    const [report, setReport] = useState(null);
+
+    const readFile = async (picked) => {
+        setParseError(null);
+        const [header, ...dataRows] = parseCSV(await picked.text());
+        if (!header || dataRows.length === 0) {
+            setParseError(`${picked.name} has no data rows below a header row`);
+            return;
+        }
+
+        // Columns are matched to fields by common header names; anything unmatched is left for the user
+        const headerRow = header.values;
+        const normalized = headerRow.map(header => header.trim().toLowerCase());
+        setMapping(Object.fromEntries(CANDIDATE_IMPORT_FIELDS.map(field => {
+            const index = normalized.findIndex(header => field.aliases.includes(header));
+            return [field.id, index === -1 ? '' : index];
+        })));
+        setFile(picked);
+        setHeaders(headerRow);
+        setRows(dataRows);
+    };
+
+    const mappedRows = useMemo(() => rows.map(row => Object.fromEntries(CANDIDATE_IMPORT_FIELDS.map(field => [
+        field.id,
+        mapping[field.id] === '' || mapping[field.id] === undefined
+            ? (field.id === 'jobId' ? defaultJobId : '')
+            : row.values[mapping[field.id]]
+    ]))), [rows, mapping, defaultJobId]);
+
+    const emailColumn = mapping.email;
+    useEffect(() => {
+        if (emailColumn === '' || emailColumn === undefined || rows.length === 0) {
+            setEmailCheck('done');
+            return;
+        }
+
+        let cancelled = false;
+        setEmailCheck('pending');
+        const emails = rows.map(row => String(row.values[emailColumn] ?? '').trim().toLowerCase()).filter(Boolean);
+        api.findExistingEmails(emails)
+            .then(found => {
+                if (cancelled) return;
+                setExistingEmails(found);
+                setEmailCheck('done');
+            })
+            .catch(error => {
+                console.error('Failed to check for duplicate emails:', error);
+                if (!cancelled) setEmailCheck('failed');
+            });
+
+        return () => {
+            cancelled = true;
+        };
+    }, [rows, emailColumn, emailCheckAttempt]);
+
+    // The same checks createCandidates runs, plus duplicate flags, so the preview matches the import
+    const checked = useMemo(() => {
+        const seen = new Map();
+        return mappedRows.map((row, index) => {
+            const { candidate, errors } = resolveCandidateRow(row, jobs);
+            if (errors) return { row, errors: Object.values(errors) };
+
+            if (existingEmails.has(candidate.email)) {
+                return { row, candidate, errors: [`${candidate.email} is already a candidate`], duplicate: true };
+            }
+            if (seen.has(candidate.email)) {
+                return { row, candidate, errors: [`Same email as line ${seen.get(candidate.email)}`], duplicate: true };
+            }
+            seen.set(candidate.email, rows[index].line);
+            return { row, candidate, errors: [] };
+        });
+    }, [mappedRows, rows, jobs, existingEmails]);
+
+    const readyCount = checked.filter(result => result.errors.length === 0).length;
+    const duplicateCount = checked.filter(result => result.duplicate).length;
+    const invalidCount = checked.length - readyCount - duplicateCount;
+    const jobTitle = (id) => jobs.find(job => job.id === id)?.title || id;
+
+    const runImport = async () => {
+        setImporting(true);
+        try {
+            const result = await api.createCandidates(mappedRows);
+            setReport(result);
+            if (result.created.length) onImported();
+        } catch (error) {
+            console.error('Failed to import candidates:', error);
+            setParseError('The import failed and nothing was written. Please try again.');
+        } finally {
+            setImporting(false);
+        }
+    };
+
+    return (
+        <div className="fixed inset-0 bg-gray-600 bg-opacity-50 flex items-center justify-center z-50 p-4">
+            <div className="bg-white rounded-lg p-6 w-full max-w-5xl max-h-[90vh] flex flex-col">
+                <div className="flex justify-between items-center mb-4">
+                    <h3 className="text-lg font-semibold">Import Candidates{file && ` from ${file.name}`}</h3>
+                    <button onClick={onClose} className="text-gray-400 hover:text-gray-600">
+                        <X className="h-6 w-6" />
+                    </button>
+                </div>
+
+                {parseError && <p className="mb-4 text-sm text-red-600">{parseError}</p>}
+
+                {report ? (
+                    <div className="overflow-y-auto">
+                        <p className="text-sm text-gray-800 mb-3">
+                            Imported {report.created.length} candidate{report.created.length === 1 ? '' : 's'}.
+                            {report.failed.length > 0 && ` ${report.failed.length} row${report.failed.length === 1 ? '' : 's'} failed validation:`}
+                        </p>
+                        {report.failed.length > 0 && (
+                            <ul className="text-sm text-red-700 space-y-1 mb-4">
+                                {report.failed.map(({ row, errors }) => (
+                                    <li key={row}>Line {rows[row].line}: {Object.values(errors).join('; ')}</li>
+                                ))}
+                            </ul>
+                        )}
+                        <div className="flex justify-end">
+                            <button onClick={onClose} className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700">
+                                Done
+                            </button>
+                        </div>
+                    </div>
+                ) : !file ? (
+                    <div>
+                        <p className="text-sm text-gray-600 mb-3">
+                            Choose a CSV export with a header row. You'll map its columns and check the rows before anything is imported.
+                        </p>
+                        <input
+                            type="file"
+                            accept=".csv,text/csv"
+                            onChange={(e) => e.target.files[0] && readFile(e.target.files[0])}
+                            className="block text-sm"
+                        />
+                    </div>
+                ) : (
+                    <>
+                        <div className="grid grid-cols-2 md:grid-cols-5 gap-3 mb-4">
+                            {CANDIDATE_IMPORT_FIELDS.map(field => (
+                                <div key={field.id}>
+                                    <label className="block text-xs font-medium text-gray-600 mb-1">
+                                        {field.label}{field.required && <span className="text-red-500 ml-1">*</span>}
+                                    </label>
+                                    <select
+                                        value={mapping[field.id]}
+                                        onChange={(e) => setMapping({
+                                            ...mapping,
+                                            [field.id]: e.target.value === '' ? '' : Number(e.target.value)
+                                        })}
+                                        className="w-full px-2 py-1 border border-gray-300 rounded-md text-sm"
+                                    >
+                                        <option value="">{field.id === 'jobId' ? 'Same job for all rows' : 'Not in file'}</option>
+                                        {headers.map((header, index) => (
+                                            <option key={index} value={index}>{header || `Column ${index + 1}`}</option>
+                                        ))}
+                                    </select>
+                                    {field.id === 'jobId' && mapping.jobId === '' && (
+                                        <select
+                                            value={defaultJobId}
+                                            onChange={(e) => setDefaultJobId(e.target.value)}
+                                            className="w-full mt-1 px-2 py-1 border border-gray-300 rounded-md text-sm"
+                                        >
+                                            <option value="">Choose a job...</option>
+                                            {jobs.map(job => (
+                                                <option key={job.id} value={job.id}>{job.title}</option>
+                                            ))}
+                                        </select>
+                                    )}
+                                </div>
+                            ))}
+                        </div>
+
+                        <p className="text-sm text-gray-600 mb-2">
+                            {rows.length} rows: <span className="text-green-700">{readyCount} ready</span>
+                            {duplicateCount > 0 && <>, <span className="text-yellow-700">{duplicateCount} duplicate emails</span></>}
+                            {invalidCount > 0 && <>, <span className="text-red-700">{invalidCount} with errors</span></>}
+                            . Only ready rows will be created.
+                        </p>
+
+                        {/* Importing waits on the duplicate check so rows that already exist can't slip through as ready */}
+                        {emailCheck === 'pending' && (
+                            <p className="text-sm text-gray-500 mb-2">Checking for emails that are already candidates...</p>
+                        )}
+                        {emailCheck === 'failed' && (
+                            <div className="flex items-center justify-between mb-2 p-2 bg-red-50 border border-red-200 rounded text-sm text-red-700">
+                                <span>Couldn't check for emails that are already candidates. Importing is disabled until the check succeeds.</span>
+                                <button
+                                    onClick={() => setEmailCheckAttempt(attempt => attempt + 1)}
+                                    className="ml-3 px-3 py-1 border border-red-300 rounded-md hover:bg-red-100"
+                                >
+                                    Retry
+                                </button>
+                            </div>
+                        )}
+
+                        <div className="flex-1 overflow-auto border border-gray-200 rounded">
+                            <table className="min-w-full text-sm">
+                                <thead className="bg-gray-50 sticky top-0">
+                                    <tr className="text-left text-gray-600">
+                                        <th className="px-3 py-2">Line</th>
+                                        <th className="px-3 py-2">Name</th>
+                                        <th className="px-3 py-2">Email</th>
+                                        <th className="px-3 py-2">Job</th>
+                                        <th className="px-3 py-2">Stage</th>
+                                        <th className="px-3 py-2">Applied</th>
+                                        <th className="px-3 py-2">Status</th>
+                                    </tr>
+                                </thead>
+                                <tbody className="divide-y divide-gray-100">
+                                    {checked.map(({ row, candidate, errors, duplicate }, index) => (
+                                        <tr key={index} className={errors.length ? (duplicate ? 'bg-yellow-50' : 'bg-red-50') : ''}>
+                                            <td className="px-3 py-2 text-gray-400">{rows[index].line}</td>
+                                            <td className="px-3 py-2">{row.name}</td>
+                                            <td className="px-3 py-2">{row.email}</td>
+                                            <td className="px-3 py-2">{candidate ? jobTitle(candidate.jobId) : row.jobId}</td>
+                                            <td className="px-3 py-2">{candidate?.stage || row.stage}</td>
+                                            <td className="px-3 py-2">
+                                                {candidate ? candidate.appliedAt.toLocaleDateString() : row.appliedAt}
+                                            </td>
+                                            <td className={`px-3 py-2 ${errors.length ? (duplicate ? 'text-yellow-800' : 'text-red-700') : 'text-green-700'}`}>
+                                                {errors.length ? errors.join('; ') : 'Ready'}
+                                            </td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+
+                        <div className="flex justify-end space-x-3 mt-4">
+                            <button
+                                onClick={onClose}
+                                className="px-4 py-2 text-gray-700 border border-gray-300 rounded-md hover:bg-gray-50"
+                            >
+                                Cancel
+                            </button>
+                            <button
+                                onClick={runImport}
+                                disabled={importing || emailCheck !== 'done' || readyCount === 0}
+                                className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50"
+                            >
+                                {importing ? 'Importing...' : `Import ${readyCount} candidate${readyCount === 1 ? '' : 's'}`}
+                            </button>
+                        </div>
+                    </>
+                )}
+            </div>
+        </div>
+    );
+}
+
+// Stage Badge Component - a stage definition rendered with its pipeline color
+function StageBadge({ stage, className = 'px-2 py-1 text-sm' }) {
+    return (
+        <span className={`rounded ${className} ${STAGE_COLORS[stage.color] || STAGE_COLORS.gray}`}>
+            {stage.label}
+        </span>
+    );
+}
+
+// Score Badge Component - an assessment score, or a note that it's waiting for manual grading
+function ScoreBadge({ score, className = 'px-2 py-0.5 text-xs' }) {
+    if (!score) return null;
+
+    if (score.passed === null) {
+        return (
+            <span className={`rounded bg-yellow-100 text-yellow-800 ${className}`}>
+                {score.percent}% so far - {score.pending} to grade
+            </span>
+        );
+    }
+
+    return (
+        <span className={`rounded ${score.passed ? 'bg-green-100 text-green-800' : 'bg-red-100 text-red-800'} ${className}`}>
+            {score.percent}% {score.passed ? 'passed' : 'not passed'}
+        </span>
+    );
+}
+
+// Virtual List Component - renders only the fixed-height rows inside the viewport (plus overscan)
+function VirtualList({ items, rowHeight, height, renderItem, onEndReached, onScroll, initialScrollTop = 0, footer, overscan = 8 }) {
+    const containerRef = useRef(null);
+    const [scrollTop, setScrollTop] = useState(initialScrollTop);
+    const [viewportHeight, setViewportHeight] = useState(0);
+    const initialScrollTopRef = useRef(initialScrollTop);
+
+    useLayoutEffect(() => {
+        const container = containerRef.current;
+        container.scrollTop = initialScrollTopRef.current;
+        setViewportHeight(container.clientHeight);
+
+        const observer = new ResizeObserver(() => setViewportHeight(container.clientHeight));
+        observer.observe(container);
+        return () => observer.disconnect();
+    }, []);
+
+    // Keep asking for more while the loaded rows don't reach past the viewport
+    useEffect(() => {
+        if (viewportHeight && onEndReached && scrollTop + viewportHeight >= (items.length - overscan) * rowHeight) {
+            onEndReached();
+        }
+    }, [items.length, rowHeight, overscan, scrollTop, viewportHeight, onEndReached]);
+
+    const start = Math.max(0, Math.floor(scrollTop / rowHeight) - overscan);
+    const end = Math.min(items.length, Math.ceil((scrollTop + viewportHeight) / rowHeight) + overscan);
+
+    return (
+        <div
+            ref={containerRef}
+            style={{ height }}
+            className="overflow-y-auto"
+            onScroll={(e) => {
+                setScrollTop(e.currentTarget.scrollTop);
+                onScroll?.(e.currentTarget.scrollTop);
+            }}
+        >
+            <div style={{ height: items.length * rowHeight, position: 'relative' }}>
+                {items.slice(start, end).map((item, index) => (
+                    <div
+                        key={item.id}
+                        style={{ position: 'absolute', top: (start + index) * rowHeight, height: rowHeight, left: 0, right: 0 }}
+                    >
+                        {renderItem(item)}
+                    </div>
+                ))}
+            </div>
+            {footer}
+        </div>
+    );
+}
+
+// Compact Pagination Component - first, last and the pages around the current one
+function CompactPagination({ page, totalPages, onChange }) {
+    const pages = [...new Set([1, page - 1, page, page + 1, totalPages])]
+        .filter(p => p >= 1 && p <= totalPages)
+        .sort((a, b) => a - b);
+
+    return (
+        <div className="flex justify-center items-center space-x-1 mt-6">
+            <button
+                onClick={() => onChange(page - 1)}
+                disabled={page <= 1}
+                className="p-2 rounded bg-white text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+            >
+                <ChevronLeft className="h-4 w-4" />
+            </button>
+            {pages.map((p, index) => (
+                <React.Fragment key={p}>
+                    {index > 0 && p - pages[index - 1] > 1 && <span className="px-2 text-gray-400">…</span>}
+                    <button
+                        onClick={() => onChange(p)}
+                        className={`px-3 py-2 rounded ${
+                            page === p
+                                ? 'bg-blue-600 text-white'
+                                : 'bg-white text-gray-700 hover:bg-gray-50'
+                        }`}
+                    >
+                        {p}
+                    </button>
+                </React.Fragment>
+            ))}
+            <button
+                onClick={() => onChange(page + 1)}
+                disabled={page >= totalPages}
+                className="p-2 rounded bg-white text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+            >
+                <ChevronRight className="h-4 w-4" />
+            </button>
+        </div>
+    );
+}
+
+// Kanban Board Component - every column loads and pages its own candidates
+function KanbanBoard({ stages, jobsById, search, jobId, onSelectCandidate }) {
+    const [columns, setColumns] = useState({});
+    const [draggedCandidate, setDraggedCandidate] = useState(null);
+    const [pendingMove, setPendingMove] = useState(null);
+    const requestRef = useRef(0);
+
+    const updateColumn = (stage, updater) => {
+        setColumns(current => ({ ...current, [stage]: updater(current[stage]) }));
+    };
+
+    const fetchColumn = useCallback((stage, offset) => {
+        return api.getCandidates({ search, jobId, stage, offset, pageSize: KANBAN_PAGE_SIZE });
+    }, [search, jobId]);
+
+    // Reload when the set of columns changes, not whenever the parent rebuilds the stages array
+    const stageKey = stages.map(stage => stage.id).join(',');
+
+    useEffect(() => {
+        const requestId = ++requestRef.current;
+        const stageIds = stageKey.split(',');
+        // `fetched` is the server-side cursor for the next page and `serverIds` the cards the server has
+        // returned for the column; optimistic moves adjust the cursor only for those cards
+        setColumns(Object.fromEntries(stageIds.map(stage => [
+            stage,
+            { candidates: [], total: 0, fetched: 0, serverIds: new Set(), loading: true, error: false }
+        ])));
+
+        stageIds.forEach(async (stage) => {
+            try {
+                const response = await fetchColumn(stage, 0);
+                if (requestId !== requestRef.current) return;
+                updateColumn(stage, () => ({
+                    candidates: response.data,
+                    total: response.pagination.total,
+                    fetched: response.data.length,
+                    serverIds: new Set(response.data.map(candidate => candidate.id)),
+                    loading: false,
+                    error: false
+                }));
+            } catch (error) {
+                console.error(`Failed to load ${stage} candidates:`, error);
+                if (requestId !== requestRef.current) return;
+                updateColumn(stage, column => ({ ...column, loading: false, error: true }));
+            }
+        });
+    }, [fetchColumn, stageKey]);
+
+    const loadMore = async (stage) => {
+        const requestId = requestRef.current;
+        const offset = columns[stage].fetched;
+        updateColumn(stage, column => ({ ...column, loading: true, error: false }));
+
+        try {
+            const response = await fetchColumn(stage, offset);
+            if (requestId !== requestRef.current) return;
+            updateColumn(stage, column => ({
+                // Cards moved in locally may also come back from the server
+                candidates: [
+                    ...column.candidates,
+                    ...response.data.filter(candidate => !column.candidates.some(c => c.id === candidate.id))
+                ],
+                total: response.pagination.total,
+                fetched: column.fetched + response.data.length,
+                serverIds: new Set([...column.serverIds, ...response.data.map(candidate => candidate.id)]),
+                loading: false,
+                error: false
+            }));
+        } catch (error) {
+            console.error(`Failed to load ${stage} candidates:`, error);
+            if (requestId !== requestRef.current) return;
+            updateColumn(stage, column => ({ ...column, loading: false, error: true }));
+        }
+    };
+
+    // Moves a card between two loaded columns, inserting it at `index` in the target column. A card the
+    // server returned for a column sits inside that column's fetched window, so leaving shifts the cursor
+    // back and returning (a rollback) shifts it forward again; other cards don't touch the cursor.
+    const moveCard = (candidate, fromStage, toStage, index) => {
+        setColumns(current => {
+            const source = current[fromStage];
+            const destination = current[toStage];
+            const target = destination.candidates.filter(c => c.id !== candidate.id);
+            target.splice(index, 0, candidate);
+            return {
+                ...current,
+                [fromStage]: {
+                    ...source,
+                    candidates: source.candidates.filter(c => c.id !== candidate.id),
+                    total: source.total - 1,
+                    fetched: source.fetched - (source.serverIds.has(candidate.id) ? 1 : 0)
+                },
+                [toStage]: {
+                    ...destination,
+                    candidates: target,
+                    total: destination.total + 1,
+                    fetched: destination.fetched + (destination.serverIds.has(candidate.id) ? 1 : 0)
+                }
+            };
+        });
+    };
 
     const handleDragStart = (candidate) => {
         setDraggedCandidate(candidate);
     };
 
-    const handleDrop = async (stage) => {
-        if (!draggedCandidate || draggedCandidate.stage === stage) return;
+    // Rules come from the dragged card's own job; MockAPI.updateCandidate enforces the same ones
+    const transitionTo = (candidate, stage) => {
+        return candidate && findTransition(getTransitions(jobsById.get(candidate.jobId)), candidate.stage, stage);
+    };
+
+    const handleDrop = (stage) => {
+        const candidate = draggedCandidate;
+        setDraggedCandidate(null);
+        if (!candidate || candidate.stage === stage) return;
+
+        const rule = transitionTo(candidate, stage);
+        if (!rule) return;
+
+        if (rule.requiresReason) {
+            setPendingMove({ candidate, stage });
+        } else {
+            moveCandidate(candidate, stage);
+        }
+    };
+
+    const moveCandidate = async (candidate, stage, reason) => {
+        const fromStage = candidate.stage;
+        const fromIndex = columns[fromStage].candidates.findIndex(c => c.id === candidate.id);
+
+        // Optimistic update
+        moveCard({ ...candidate, stage }, fromStage, stage, 0);
 
         try {
-            await api.updateCandidate(draggedCandidate.id, { stage });
-            onUpdateCandidate();
-        } catch {
+            const updated = await api.updateCandidate(candidate.id, { stage, reason });
+            updateColumn(stage, column => ({
+                ...column,
+                candidates: column.candidates.map(c => (c.id === updated.id ? updated : c))
+            }));
+        } catch (error) {
+            moveCard(candidate, stage, fromStage, fromIndex);
+            const detail = error instanceof ValidationError ? `: ${error.message}` : '';
             // ESLint: 'alert' is not defined
-            alert('Failed to update candidate stage');
+            alert(`Failed to move ${candidate.name}${detail}. Returning it to ${findStage(stages, fromStage).label}`);
         }
-
-        setDraggedCandidate(null);
     };
 
     return (
         // FIX: Removed horizontal padding to let content expand fully
         <div className="w-full px-4 sm:px-6 lg:px-8">
-            <div className="flex items-center justify-between mb-6">
-                <h2 className="text-3xl font-bold text-gray-900">Candidates - Kanban View</h2>
-            </div>
-
             <div className="flex space-x-6 overflow-x-auto pb-4">
-                {stages.map((stage) => (
-                    <div
-                        key={stage}
-                        className="flex-shrink-0 w-80 bg-gray-100 rounded-lg p-4"
-                        onDragOver={(e) => e.preventDefault()}
-                        onDrop={() => handleDrop(stage)}
-                    >
-                        <h3 className="font-semibold text-gray-700 mb-4">
-                            {stageLabels[stage]} ({candidatesByStage[stage]?.length || 0})
-                        </h3>
-                        <div className="space-y-3">
-                            {candidatesByStage[stage]?.map((candidate) => (
-                                <div
-                                    key={candidate.id}
-                                    draggable
-                                    onDragStart={() => handleDragStart(candidate)}
-                                    className="bg-white p-4 rounded-lg shadow-sm cursor-move hover:shadow-md transition-shadow"
-                                    onClick={() => onSelectCandidate(candidate.id)}
-                                >
-                                    <h4 className="font-medium text-gray-900">{candidate.name}</h4>
-                                    <p className="text-sm text-gray-500">{candidate.email}</p>
-                                    <p className="text-xs text-gray-400 mt-2">
-                                        Applied: {new Date(candidate.appliedAt).toLocaleDateString()}
-                                    </p>
-                                </div>
-                            ))}
+                {stages.map(({ id: stage, label }) => {
+                    const column = columns[stage] || { candidates: [], total: 0, loading: true };
+                    const remaining = column.total - column.candidates.length;
+                    const isSource = draggedCandidate?.stage === stage;
+                    const rule = draggedCandidate && !isSource ? transitionTo(draggedCandidate, stage) : null;
+                    const unavailable = draggedCandidate && !isSource && !rule;
+
+                    return (
+                        <div
+                            key={stage}
+                            title={unavailable ? `Can't move ${draggedCandidate.name} here` : undefined}
+                            className={`flex-shrink-0 w-80 bg-gray-100 rounded-lg p-4 transition-opacity ${
+                                unavailable ? 'opacity-40 cursor-not-allowed' : ''
+                            } ${rule ? 'ring-2 ring-blue-300' : ''}`}
+                            onDragOver={(e) => {
+                                // Only columns the card may move to accept the drop
+                                if (!unavailable) e.preventDefault();
+                            }}
+                            onDrop={() => handleDrop(stage)}
+                        >
+                            <h3 className="font-semibold text-gray-700 mb-4 flex items-center justify-between">
+                                <span>{label} ({column.total})</span>
+                                {rule?.requiresReason && <span className="text-xs font-normal text-gray-500">reason required</span>}
+                            </h3>
+                            <div className="space-y-3 max-h-[70vh] overflow-y-auto">
+                                {column.candidates.map((candidate) => (
+                                    <div
+                                        key={candidate.id}
+                                        draggable
+                                        onDragStart={() => handleDragStart(candidate)}
+                                        onDragEnd={() => setDraggedCandidate(null)}
+                                        className="bg-white p-4 rounded-lg shadow-sm cursor-move hover:shadow-md transition-shadow"
+                                        onClick={() => onSelectCandidate(candidate.id)}
+                                    >
+                                        <h4 className="font-medium text-gray-900">{candidate.name}</h4>
+                                        <p className="text-sm text-gray-500">{candidate.email}</p>
+                                        <div className="flex items-center justify-between mt-2">
+                                            <p className="text-xs text-gray-400">
+                                                Applied: {new Date(candidate.appliedAt).toLocaleDateString()}
+                                            </p>
+                                            {candidate.assessmentScore?.jobId === candidate.jobId && (
+                                                <ScoreBadge score={candidate.assessmentScore} />
+                                            )}
+                                        </div>
+                                    </div>
+                                ))}
+
+                                {column.loading && (
+                                    <div className="text-center text-sm text-gray-500 py-2">Loading...</div>
+                                )}
+                                {!column.loading && column.error && (
+                                    <button
+                                        onClick={() => loadMore(stage)}
+                                        className="w-full text-sm text-red-600 hover:underline py-2"
+                                    >
+                                        Failed to load - retry
+                                    </button>
+                                )}
+                                {!column.loading && !column.error && remaining > 0 && (
+                                    <button
+                                        onClick={() => loadMore(stage)}
+                                        className="w-full text-sm text-blue-600 hover:underline py-2"
+                                    >
+                                        Load more ({remaining} remaining)
+                                    </button>
+                                )}
+                            </div>
                         </div>
+                    );
+                })}
+            </div>
+
+            {pendingMove && (
+                <StageReasonModal
+                    candidate={pendingMove.candidate}
+                    fromLabel={findStage(stages, pendingMove.candidate.stage).label}
+                    toLabel={findStage(stages, pendingMove.stage).label}
+                    onClose={() => setPendingMove(null)}
+                    onSubmit={(reason) => {
+                        setPendingMove(null);
+                        moveCandidate(pendingMove.candidate, pendingMove.stage, reason);
+                    }}
+                />
+            )}
+        </div>
+    );
+}
+
+// Stage Reason Modal Component - asks why before a move whose rule requires a reason
+function StageReasonModal({ candidate, fromLabel, toLabel, onClose, onSubmit }) {
+    const [reason, setReason] = useState('');
+
+    return (
+        <div className="fixed inset-0 bg-gray-600 bg-opacity-50 flex items-center justify-center z-50">
+            <div className="bg-white rounded-lg p-6 w-full max-w-md">
+                <div className="flex justify-between items-center mb-4">
+                    <h3 className="text-lg font-semibold">Move {candidate.name}</h3>
+                    <button onClick={onClose} className="text-gray-400 hover:text-gray-600">
+                        <X className="h-6 w-6" />
+                    </button>
+                </div>
+
+                <form
+                    onSubmit={(e) => {
+                        e.preventDefault();
+                        if (reason.trim()) onSubmit(reason.trim());
+                    }}
+                    className="space-y-4"
+                >
+                    <p className="text-sm text-gray-600">
+                        Moving from <span className="font-medium">{fromLabel}</span> to <span className="font-medium">{toLabel}</span> needs a reason.
+                    </p>
+                    <textarea
+                        autoFocus
+                        required
+                        value={reason}
+                        onChange={(e) => setReason(e.target.value)}
+                        rows={3}
+                        className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    />
+                    <div className="flex justify-end space-x-3">
+                        <button
+                            type="button"
+                            onClick={onClose}
+                            className="px-4 py-2 text-gray-700 border border-gray-300 rounded-md hover:bg-gray-50"
+                        >
+                            Cancel
+                        </button>
+                        <button
+                            type="submit"
+                            disabled={!reason.trim()}
+                            className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50"
+                        >
+                            Move
+                        </button>
                     </div>
-                ))}
+                </form>
             </div>
         </div>
     );
@@ -945,13 +3505,17 @@ function KanbanBoard({ candidates, onSelectCandidate, onUpdateCandidate }) {
 // Candidate Detail Component
 function CandidateDetail({ candidateId, onBack }) {
     const [candidate, setCandidate] = useState(null);
+    const [job, setJob] = useState(null);
     const [loading, setLoading] = useState(true);
 
     useEffect(() => {
         const loadCandidate = async () => {
             try {
-                const response = await api.getCandidates({ search: candidateId });
-                setCandidate(response.data.find(c => c.id === candidateId));
+                const found = await api.getCandidate(candidateId);
+                setCandidate(found);
+                if (found) {
+                    setJob(await api.getJob(found.jobId));
+                }
             } catch (error) {
                 console.error('Failed to load candidate:', error);
             } finally {
@@ -997,49 +3561,704 @@ function CandidateDetail({ candidateId, onBack }) {
                     </div>
                     <div>
                         <h3 className="text-lg font-semibold mb-4">Current Status</h3>
-                        <span className="px-3 py-1 rounded text-sm capitalize bg-blue-100 text-blue-800">
-              {candidate.stage}
-            </span>
+                        <div className="flex items-center space-x-2">
+                            <StageBadge stage={findStage(getPipeline(job), candidate.stage)} className="px-3 py-1 text-sm" />
+                            {candidate.assessmentScore?.jobId === candidate.jobId && (
+                                <ScoreBadge score={candidate.assessmentScore} className="px-3 py-1 text-sm" />
+                            )}
+                        </div>
+                        {job && <p className="text-gray-500 mt-3">{job.title}</p>}
                     </div>
                 </div>
             </div>
+
+            <div className="bg-white rounded-lg shadow p-6 mt-6">
+                <h3 className="text-lg font-semibold mb-4">Stage History</h3>
+                <StageTimeline history={candidate.stageHistory || []} pipeline={getPipeline(job)} />
+            </div>
+
+            <div className="bg-white rounded-lg shadow p-6 mt-6">
+                <h3 className="text-lg font-semibold mb-4">Notes</h3>
+                <NotesPanel
+                    candidateId={candidate.id}
+                    notes={candidate.notes || []}
+                    onNoteAdded={(note) => setCandidate({ ...candidate, notes: [...(candidate.notes || []), note] })}
+                />
+            </div>
+
+            <div className="bg-white rounded-lg shadow p-6 mt-6">
+                <h3 className="text-lg font-semibold mb-4">Assessment</h3>
+                <CandidateAssessments
+                    candidate={candidate}
+                    onScoreChange={(assessmentScore) => setCandidate({ ...candidate, assessmentScore })}
+                />
+            </div>
         </div>
     );
 }
 
-// Assessment Builder Component
-function AssessmentBuilder({ jobId, onBack }) {
-    const [assessment, setAssessment] = useState(null);
+// Candidate Assessments Component - submitted responses, or the link to send when there are none
+function CandidateAssessments({ candidate, onScoreChange }) {
+    const [responses, setResponses] = useState([]);
+    const [assessments, setAssessments] = useState({});
+    // The version each response was submitted against, keyed by job id
+    const [answeredVersions, setAnsweredVersions] = useState({});
     const [loading, setLoading] = useState(true);
-    const [showPreview, setShowPreview] = useState(false);
+    const [openResponse, setOpenResponse] = useState(null);
 
     useEffect(() => {
-        const loadAssessment = async () => {
+        const loadResponses = async () => {
             try {
-                const data = await api.getAssessment(jobId);
-                setAssessment(data || {
-                    jobId,
-                    title: 'New Assessment',
-                    sections: []
-                });
+                const submitted = await api.getCandidateResponses(candidate.id);
+                const jobIds = [...new Set([candidate.jobId, ...submitted.map(response => response.jobId)])];
+                const [loaded, answered] = await Promise.all([
+                    Promise.all(jobIds.map(jobId => api.getAssessment(jobId))),
+                    Promise.all(submitted.map(response => (response.assessmentVersion
+                        ? api.getAssessmentVersion(response.jobId, response.assessmentVersion)
+                        : null)))
+                ]);
+                setResponses(submitted);
+                setAssessments(Object.fromEntries(jobIds.map((jobId, i) => [jobId, loaded[i]])));
+                setAnsweredVersions(Object.fromEntries(submitted.map((response, i) => [response.jobId, answered[i]])));
             } catch (error) {
-                console.error('Failed to load assessment:', error);
+                console.error('Failed to load assessment responses:', error);
             } finally {
                 setLoading(false);
             }
         };
 
-        loadAssessment();
+        loadResponses();
+    }, [candidate.id, candidate.jobId]);
+
+    if (loading) {
+        return <p className="text-gray-500 text-sm">Loading...</p>;
+    }
+
+    const handleGraded = (updated) => {
+        setResponses(current => current.map(response => (response.jobId === updated.jobId ? updated : response)));
+        if (updated.jobId === candidate.jobId) {
+            onScoreChange(summarizeScore(updated.jobId, updated.score));
+        }
+    };
+
+    const hasSubmitted = responses.some(response => response.jobId === candidate.jobId);
+    const takeUrl = `${window.location.origin}/take/${encodeURIComponent(candidate.jobId)}/${encodeURIComponent(candidate.id)}`;
+
+    return (
+        <div className="space-y-4">
+            {!hasSubmitted && (
+                assessments[candidate.jobId] ? (
+                    <div className="text-sm text-gray-600">
+                        <p className="mb-2">Not submitted yet. Send the candidate this link:</p>
+                        <div className="flex items-center space-x-2">
+                            <input
+                                type="text"
+                                readOnly
+                                value={takeUrl}
+                                onFocus={(e) => e.target.select()}
+                                className="flex-1 px-3 py-2 border border-gray-300 rounded-md bg-gray-50 text-gray-700"
+                            />
+                            <button
+                                onClick={() => navigator.clipboard?.writeText(takeUrl)}
+                                className="px-3 py-2 border border-gray-300 rounded-md hover:bg-gray-50"
+                            >
+                                Copy
+                            </button>
+                        </div>
+                    </div>
+                ) : (
+                    <p className="text-gray-500 text-sm">This job has no assessment yet.</p>
+                )
+            )}
+
+            {responses.map(response => {
+                const assessment = answeredVersions[response.jobId] || assessments[response.jobId];
+                const isOpen = openResponse === response.jobId;
+
+                return (
+                    <div key={response.jobId} className="border border-gray-200 rounded p-4">
+                        <div className="flex justify-between items-center">
+                            <div>
+                                <p className="font-medium text-gray-900">{assessment?.title || 'Assessment'}</p>
+                                <p className="text-xs text-gray-500">
+                                    Submitted {new Date(response.submittedAt).toLocaleString()}
+                                    {response.assessmentVersion && ` - version ${response.assessmentVersion}`}
+                                    {response.assessmentVersion && assessments[response.jobId]?.version !== response.assessmentVersion
+                                        && ' (edited since)'}
+                                </p>
+                                {response.score && (
+                                    <div className="mt-1">
+                                        <ScoreBadge score={summarizeScore(response.jobId, response.score)} />
+                                    </div>
+                                )}
+                            </div>
+                            <button
+                                onClick={() => setOpenResponse(isOpen ? null : response.jobId)}
+                                className="px-3 py-1 text-sm border border-gray-300 rounded hover:bg-gray-50"
+                            >
+                                {isOpen ? 'Hide Answers' : 'Review Answers'}
+                            </button>
+                        </div>
+                        {isOpen && <ResponseReview assessment={assessment} response={response} onGraded={handleGraded} />}
+                    </div>
+                );
+            })}
+        </div>
+    );
+}
+
+// Response Review Component - a submitted response read question by question
+function ResponseReview({ assessment, response, onGraded }) {
+    if (!assessment) {
+        return <p className="text-gray-500 text-sm mt-4">The assessment for this response no longer exists.</p>;
+    }
+
+    // Questions the candidate's answers kept hidden were never asked, so leave them out
+    const visibleIds = getVisibleQuestionIds(assessment, response.answers);
+    let number = 0;
+
+    return (
+        <div className="mt-4 space-y-6">
+            {assessment.sections?.map(section => {
+                const sectionScore = response.score?.sections.find(s => s.id === section.id);
+
+                return (
+                    <div key={section.id}>
+                        <h4 className="font-semibold text-gray-800 mb-3 flex items-center justify-between">
+                            <span>{section.title}</span>
+                            {sectionScore?.possible > 0 && (
+                                <span className="text-sm font-normal text-gray-500">
+                                    {sectionScore.earned} / {sectionScore.possible} pts
+                                    {section.passThreshold !== undefined && ` - pass at ${section.passThreshold}%`}
+                                </span>
+                            )}
+                        </h4>
+                        <ol className="space-y-3">
+                            {section.questions?.filter(question => visibleIds.has(question.id)).map(question => {
+                                number += 1;
+                                const answer = response.answers[question.id];
+                                const result = response.score?.questions[question.id];
+                                const awaitingGrade = response.score?.pending.includes(question.id);
+
+                                return (
+                                    <li
+                                        key={question.id}
+                                        className={`border-l-4 pl-4 ${
+                                            result?.correct === true ? 'border-green-400'
+                                                : result?.correct === false ? 'border-red-400'
+                                                    : awaitingGrade ? 'border-yellow-400' : 'border-gray-200'
+                                        }`}
+                                    >
+                                        <p className="text-sm font-medium text-gray-700 flex justify-between">
+                                            <span>{number}. {question.question}</span>
+                                            {result && (
+                                                <span className="text-gray-500 font-normal ml-4 flex-shrink-0">
+                                                    {result.earned} / {question.points} pts
+                                                </span>
+                                            )}
+                                        </p>
+                                        {isAnswerEmpty(answer) ? (
+                                            <p className="text-sm text-gray-400 italic mt-1">No answer</p>
+                                        ) : answer.fileId ? (
+                                            <FileAttachment file={answer} />
+                                        ) : (
+                                            <p className="text-sm text-gray-900 mt-1 whitespace-pre-wrap">{formatAnswer(answer)}</p>
+                                        )}
+                                        {(awaitingGrade || (result && result.correct === undefined)) && (
+                                            <GradeInput
+                                                key={result?.earned}
+                                                question={question}
+                                                response={response}
+                                                onGraded={onGraded}
+                                            />
+                                        )}
+                                    </li>
+                                );
+                            })}
+                        </ol>
+                    </div>
+                );
+            })}
+        </div>
+    );
+}
+
+// Grade Input Component - a reviewer's points for one manually graded question
+function GradeInput({ question, response, onGraded }) {
+    const current = response.grades?.[question.id];
+    const [points, setPoints] = useState(current ?? '');
+    const [saving, setSaving] = useState(false);
+    const [error, setError] = useState(null);
+
+    const save = async () => {
+        setSaving(true);
+        setError(null);
+        try {
+            onGraded(await api.gradeResponse(response.candidateId, response.jobId, question.id, Number(points)));
+        } catch (err) {
+            setError(err instanceof ValidationError ? err.message : 'Failed to save the grade. Please try again.');
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    return (
+        <div className="mt-2">
+            <div className="flex items-center space-x-2 text-sm">
+                <span className="text-gray-600">{current === undefined ? 'Awaiting grade:' : 'Graded:'}</span>
+                <input
+                    type="number"
+                    min={0}
+                    max={question.points}
+                    value={points}
+                    onChange={(e) => setPoints(e.target.value)}
+                    className="w-20 px-2 py-1 border border-gray-300 rounded-md"
+                />
+                <span className="text-gray-500">/ {question.points} pts</span>
+                <button
+                    onClick={save}
+                    disabled={saving || points === '' || Number(points) === current}
+                    className="px-3 py-1 bg-blue-600 text-white rounded hover:bg-blue-700 disabled:opacity-50"
+                >
+                    {saving ? 'Saving...' : 'Save'}
+                </button>
+            </div>
+            {error && <p className="mt-1 text-sm text-red-600">{error}</p>}
+        </div>
+    );
+}
+
+// Notes Panel Component - typing @ suggests teammates from TEAM_MEMBERS
+function NotesPanel({ candidateId, notes, onNoteAdded }) {
+    const [text, setText] = useState('');
+    const [saving, setSaving] = useState(false);
+    const [mentionQuery, setMentionQuery] = useState(null);
+    const [activeSuggestion, setActiveSuggestion] = useState(0);
+    const textareaRef = useRef(null);
+
+    const suggestions = useMemo(() => {
+        if (mentionQuery === null) return [];
+        const query = mentionQuery.toLowerCase();
+        return TEAM_MEMBERS.filter(member =>
+            member.handle.startsWith(query) || member.name.toLowerCase().startsWith(query)
+        );
+    }, [mentionQuery]);
+
+    // Looks for an unfinished @mention right before the caret
+    const updateMentionQuery = (value, caret) => {
+        const match = value.slice(0, caret).match(/(?:^|\s)@(\w*)$/);
+        setMentionQuery(match ? match[1] : null);
+        setActiveSuggestion(0);
+    };
+
+    const insertMention = (member) => {
+        const textarea = textareaRef.current;
+        const caret = textarea.selectionStart;
+        const before = text.slice(0, caret).replace(/@\w*$/, `@${member.handle} `);
+        const next = before + text.slice(caret);
+
+        setText(next);
+        setMentionQuery(null);
+        requestAnimationFrame(() => {
+            textarea.focus();
+            textarea.setSelectionRange(before.length, before.length);
+        });
+    };
+
+    const handleKeyDown = (e) => {
+        if (suggestions.length === 0) return;
+
+        if (e.key === 'ArrowDown') {
+            e.preventDefault();
+            setActiveSuggestion((activeSuggestion + 1) % suggestions.length);
+        } else if (e.key === 'ArrowUp') {
+            e.preventDefault();
+            setActiveSuggestion((activeSuggestion - 1 + suggestions.length) % suggestions.length);
+        } else if (e.key === 'Enter' || e.key === 'Tab') {
+            e.preventDefault();
+            insertMention(suggestions[activeSuggestion]);
+        } else if (e.key === 'Escape') {
+            setMentionQuery(null);
+        }
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        if (!text.trim()) return;
+
+        setSaving(true);
+        try {
+            const note = await api.addCandidateNote(candidateId, text.trim());
+            onNoteAdded(note);
+            setText('');
+        } catch {
+            alert('Failed to add note');
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    return (
+        <div>
+            <form onSubmit={handleSubmit} className="mb-6">
+                <div className="relative">
+                    <textarea
+                        ref={textareaRef}
+                        value={text}
+                        onChange={(e) => {
+                            setText(e.target.value);
+                            updateMentionQuery(e.target.value, e.target.selectionStart);
+                        }}
+                        onKeyDown={handleKeyDown}
+                        onBlur={() => setMentionQuery(null)}
+                        rows={3}
+                        placeholder="Add a note... use @ to mention a teammate"
+                        className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    />
+                    {suggestions.length > 0 && (
+                        <ul className="absolute left-0 top-full mt-1 w-64 bg-white border border-gray-200 rounded-md shadow-lg z-10">
+                            {suggestions.map((member, index) => (
+                                <li
+                                    key={member.id}
+                                    // Keep focus in the textarea so the caret position survives the click
+                                    onMouseDown={(e) => {
+                                        e.preventDefault();
+                                        insertMention(member);
+                                    }}
+                                    className={`px-3 py-2 text-sm cursor-pointer ${
+                                        index === activeSuggestion ? 'bg-blue-50 text-blue-700' : 'text-gray-700'
+                                    }`}
+                                >
+                                    <span className="font-medium">{member.name}</span>
+                                    <span className="text-gray-400 ml-2">@{member.handle}</span>
+                                </li>
+                            ))}
+                        </ul>
+                    )}
+                </div>
+                <div className="flex justify-end mt-2">
+                    <button
+                        type="submit"
+                        disabled={saving || !text.trim()}
+                        className="px-4 py-2 bg-blue-600 text-white rounded hover:bg-blue-700 disabled:opacity-50"
+                    >
+                        {saving ? 'Saving...' : 'Add Note'}
+                    </button>
+                </div>
+            </form>
+
+            {notes.length === 0 ? (
+                <p className="text-gray-500 text-sm">No notes yet.</p>
+            ) : (
+                <ul className="space-y-4">
+                    {[...notes].reverse().map(note => (
+                        <li key={note.id} className="border-b border-gray-100 pb-4 last:border-b-0">
+                            <div className="flex items-center text-xs text-gray-500 mb-1 space-x-3">
+                                <span className="flex items-center font-medium text-gray-700">
+                                    <User className="h-3 w-3 mr-1" />
+                                    {note.author}
+                                </span>
+                                <span>{new Date(note.createdAt).toLocaleString()}</span>
+                            </div>
+                            <p className="text-gray-900 whitespace-pre-wrap">
+                                <NoteText text={note.text} />
+                            </p>
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </div>
+    );
+}
+
+// Renders note text with known @mentions highlighted
+function NoteText({ text }) {
+    return text.split(/(@\w+)/g).map((part, index) => {
+        const handle = part.startsWith('@') ? part.slice(1).toLowerCase() : null;
+        const member = handle && TEAM_MEMBERS.find(m => m.handle === handle);
+
+        return member ? (
+            <span key={index} title={member.name} className="bg-blue-100 text-blue-700 rounded px-1">
+                {part}
+            </span>
+        ) : (
+            <React.Fragment key={index}>{part}</React.Fragment>
+        );
+    });
+}
+
+// Stage Timeline Component - newest change first
+function StageTimeline({ history, pipeline }) {
+    if (history.length === 0) {
+        return <p className="text-gray-500 text-sm">No stage changes recorded yet.</p>;
+    }
+
+    return (
+        <ol className="relative border-l border-gray-200 ml-2">
+            {[...history].reverse().map((entry, index) => (
+                <li key={`${entry.to}-${new Date(entry.at).getTime()}-${index}`} className="mb-6 ml-6 last:mb-0">
+                    <span className={`absolute -left-1.5 mt-1.5 h-3 w-3 rounded-full border border-white ${
+                        index === 0 ? 'bg-blue-600' : 'bg-gray-300'
+                    }`} />
+                    <p className="text-sm text-gray-900">
+                        {entry.from ? (
+                            <>Moved from <span className="font-medium">{findStage(pipeline, entry.from).label}</span> to <span className="font-medium">{findStage(pipeline, entry.to).label}</span></>
+                        ) : (
+                            <>Entered pipeline at <span className="font-medium">{findStage(pipeline, entry.to).label}</span></>
+                        )}
+                    </p>
+                    <div className="flex items-center text-xs text-gray-500 mt-1 space-x-3">
+                        <span className="flex items-center">
+                            <Calendar className="h-3 w-3 mr-1" />
+                            {new Date(entry.at).toLocaleString()}
+                        </span>
+                        {entry.by && (
+                            <span className="flex items-center">
+                                <User className="h-3 w-3 mr-1" />
+                                {entry.by}
+                            </span>
+                        )}
+                    </div>
+                    {entry.reason && (
+                        <p className="text-sm text-gray-600 mt-1 italic">“{entry.reason}”</p>
+                    )}
+                </li>
+            ))}
+        </ol>
+    );
+}
+
+// Local drafts of assessments being edited, keyed by job, so a failed save or a closed tab loses nothing
+const ASSESSMENT_DRAFT_PREFIX = 'talentflow:assessment-draft:';
+const AUTOSAVE_DELAY = 800;
+
+function readAssessmentDraft(jobId) {
+    try {
+        return JSON.parse(localStorage.getItem(ASSESSMENT_DRAFT_PREFIX + jobId));
+    } catch {
+        return null;
+    }
+}
+
+function writeAssessmentDraft(jobId, draft) {
+    try {
+        localStorage.setItem(ASSESSMENT_DRAFT_PREFIX + jobId, JSON.stringify(draft));
+    } catch (error) {
+        console.error('Failed to store assessment draft:', error);
+    }
+}
+
+function clearAssessmentDraft(jobId) {
+    localStorage.removeItem(ASSESSMENT_DRAFT_PREFIX + jobId);
+}
+
+// What the editor changes, without the metadata a save adds
+function assessmentContent(assessment) {
+    const { version: _version, updatedAt: _updatedAt, updatedBy: _updatedBy, restoredFrom: _restoredFrom, ...content } = assessment;
+    return JSON.stringify(content);
+}
+
+// Assessment Builder Component
+function AssessmentBuilder({ jobId, onBack }) {
+    const [assessment, setAssessment] = useState(null);
+    // The last version loaded from or saved to the API; edits are dirty until they match it
+    const [saved, setSaved] = useState(null);
+    const [recoveredDraft, setRecoveredDraft] = useState(null);
+    const [draftSavedAt, setDraftSavedAt] = useState(null);
+    const [saving, setSaving] = useState(false);
+    const [saveError, setSaveError] = useState(null);
+    const [loading, setLoading] = useState(true);
+    const [loadError, setLoadError] = useState(false);
+    // The question most recently picked in the preview, highlighted in the editor for a moment
+    const [activeQuestionId, setActiveQuestionId] = useState(null);
+    const editorRef = useRef(null);
+    const [showHistory, setShowHistory] = useState(false);
+    const [importErrors, setImportErrors] = useState(null);
+    const [showTemplateModal, setShowTemplateModal] = useState(false);
+    const importInputRef = useRef(null);
+
+    const dirty = Boolean(assessment && saved) && assessmentContent(assessment) !== assessmentContent(saved);
+
+    // Lets a finished save tell whether the editor changed while it was in flight
+    const latestAssessment = useRef(assessment);
+    useEffect(() => {
+        latestAssessment.current = assessment;
+    }, [assessment]);
+
+    useNavigationBlocker(dirty
+        ? 'This assessment has unsaved changes. Leave anyway? They stay in a local draft you can recover later.'
+        : null);
+
+    const loadAssessment = useCallback(async () => {
+        setLoading(true);
+        setLoadError(false);
+        try {
+            const data = await api.getAssessment(jobId);
+            const base = data || {
+                jobId,
+                title: 'New Assessment',
+                sections: []
+            };
+            setSaved(base);
+
+            const draft = readAssessmentDraft(jobId);
+            if (draft && assessmentContent(draft.assessment) !== assessmentContent(base)) {
+                setAssessment(draft.assessment);
+                setRecoveredDraft(draft);
+                setDraftSavedAt(draft.savedAt);
+            } else {
+                if (draft) clearAssessmentDraft(jobId);
+                setAssessment(base);
+            }
+        } catch (error) {
+            console.error('Failed to load assessment:', error);
+            setLoadError(true);
+        } finally {
+            setLoading(false);
+        }
     }, [jobId]);
 
-    const saveAssessment = async () => {
+    useEffect(() => {
+        loadAssessment();
+    }, [loadAssessment]);
+
+    // Writes the draft the autosave timer is still waiting on, if any
+    const pendingDraft = useRef(null);
+
+    // Debounced autosave to the local draft; saving to the API stays an explicit action
+    useEffect(() => {
+        if (!dirty) {
+            pendingDraft.current = null;
+            // Edits undone by hand leave nothing worth recovering
+            if (saved) clearAssessmentDraft(jobId);
+            return;
+        }
+
+        const writeDraft = () => {
+            pendingDraft.current = null;
+            const savedAt = new Date().toISOString();
+            writeAssessmentDraft(jobId, { assessment, baseVersion: saved.version ?? null, savedAt });
+            return savedAt;
+        };
+        pendingDraft.current = writeDraft;
+        const timer = setTimeout(() => setDraftSavedAt(writeDraft()), AUTOSAVE_DELAY);
+
+        return () => clearTimeout(timer);
+    }, [jobId, assessment, saved, dirty]);
+
+    // Leaving the builder or closing the tab inside the debounce window still keeps the last edits
+    useEffect(() => {
+        const flushDraft = () => pendingDraft.current?.();
+        window.addEventListener('beforeunload', flushDraft);
+
+        return () => {
+            window.removeEventListener('beforeunload', flushDraft);
+            flushDraft();
+        };
+    }, []);
+
+    const saveAssessment = async (sent = assessment) => {
+        setSaving(true);
+        setSaveError(null);
         try {
-            await api.updateAssessment(jobId, assessment);
-            // ESLint: 'alert' is not defined
-            alert('Assessment saved successfully!');
+            const result = await api.updateAssessment(jobId, sent);
+            setSaved(result);
+            setRecoveredDraft(null);
+            // Edits made while the save was in flight stay dirty, and autosave keeps their draft
+            if (latestAssessment.current === sent) {
+                setAssessment(result);
+                clearAssessmentDraft(jobId);
+                setDraftSavedAt(null);
+            }
         } catch {
-            // ESLint: 'alert' is not defined
-            alert('Failed to save assessment');
+            const savedAt = new Date().toISOString();
+            writeAssessmentDraft(jobId, { assessment: sent, baseVersion: saved.version ?? null, savedAt });
+            setDraftSavedAt(savedAt);
+            setSaveError('Save failed - your changes are kept in a local draft. Please try again.');
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const downloadExport = () => {
+        const blob = new Blob([JSON.stringify(exportAssessment(assessment), null, 2)], { type: 'application/json' });
+        downloadBlob(blob, `${slugify(assessment.title) || 'assessment'}.json`);
+    };
+
+    // An accepted import replaces the editor's content and is saved straight away as a new version
+    const importFile = async (file) => {
+        setImportErrors(null);
+
+        let content;
+        try {
+            content = parseAssessmentImport(JSON.parse(await file.text()));
+        } catch (error) {
+            setImportErrors(error instanceof ValidationError
+                ? Object.entries(error.fields).map(([where, message]) => `${where}: ${message}`)
+                : [`${file.name} is not valid JSON`]);
+            return;
+        }
+
+        const questionCount = content.sections.reduce((sum, section) => sum + section.questions.length, 0);
+        if (!confirm(`Replace the assessment for this job with "${content.title}" (${content.sections.length} sections, ${questionCount} questions)? The current one stays in the history.`)) {
+            return;
+        }
+
+        const imported = { ...content, jobId };
+        setAssessment(imported);
+        await saveAssessment(imported);
+    };
+
+    // Templates and other jobs' assessments are copied with fresh ids, so the two never share questions
+    const startFrom = (source) => {
+        setAssessment({
+            ...assessment,
+            title: source.title,
+            passThreshold: source.passThreshold,
+            sections: withFreshIds(source.sections)
+        });
+    };
+
+    const focusQuestionEditor = (questionId) => {
+        const editor = editorRef.current?.querySelector(`[data-question-id="${CSS.escape(questionId)}"]`);
+        if (!editor) return;
+
+        editor.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        editor.querySelector('input, textarea, select')?.focus({ preventScroll: true });
+        setActiveQuestionId(questionId);
+    };
+
+    useEffect(() => {
+        if (!activeQuestionId) return;
+
+        const timer = setTimeout(() => setActiveQuestionId(null), 1500);
+        return () => clearTimeout(timer);
+    }, [activeQuestionId]);
+
+    const discardDraft = () => {
+        if (!confirm('Discard your unsaved changes and go back to the last saved version?')) return;
+
+        clearAssessmentDraft(jobId);
+        setAssessment(saved);
+        setRecoveredDraft(null);
+        setDraftSavedAt(null);
+    };
+
+    const restoreVersion = async (version) => {
+        if (!confirm(`Restore version ${version}? It will be saved as a new version, replacing any unsaved changes.`)) {
+            return;
+        }
+
+        try {
+            const restored = await api.restoreAssessmentVersion(jobId, version);
+            setSaved(restored);
+            setAssessment(restored);
+            setRecoveredDraft(null);
+            setSaveError(null);
+            clearAssessmentDraft(jobId);
+            setDraftSavedAt(null);
+        } catch {
+            alert(`Failed to restore version ${version}`);
         }
     };
 
@@ -1047,51 +4266,489 @@ function AssessmentBuilder({ jobId, onBack }) {
         return <div className="text-center py-8">Loading...</div>;
     }
 
+    if (loadError || !assessment) {
+        return (
+            <div className="text-center py-8">
+                <p className="text-gray-700 mb-4">Failed to load the assessment.</p>
+                <div className="flex justify-center space-x-2">
+                    <button
+                        onClick={onBack}
+                        className="px-4 py-2 border border-gray-300 rounded text-gray-700 hover:bg-gray-50"
+                    >
+                        Back
+                    </button>
+                    <button
+                        onClick={loadAssessment}
+                        className="px-4 py-2 bg-blue-600 text-white rounded hover:bg-blue-700"
+                    >
+                        Retry
+                    </button>
+                </div>
+            </div>
+        );
+    }
+
     return (
         // FIX: Removed horizontal padding to let content expand fully
         <div className="px-4 sm:px-6 lg:px-8">
-            <div className="flex items-center justify-between mb-6">
+            <div className="flex flex-col lg:flex-row lg:items-center justify-between gap-4 mb-6">
                 <div className="flex items-center">
                     <button onClick={onBack} className="mr-4 p-2 text-gray-400 hover:text-gray-600">
                         <ArrowLeft className="h-6 w-6" />
                     </button>
                     <h2 className="text-3xl font-bold text-gray-900">Assessment Builder</h2>
                 </div>
-                <div className="flex space-x-2">
+                <div className="flex flex-wrap items-center gap-2">
+                    <SaveStatus
+                        saving={saving}
+                        error={saveError}
+                        dirty={dirty}
+                        draftSavedAt={draftSavedAt}
+                        version={saved.version}
+                    />
                     <button
-                        onClick={() => setShowPreview(!showPreview)}
-                        className="px-4 py-2 bg-gray-600 text-white rounded hover:bg-gray-700"
+                        onClick={() => setShowTemplateModal(true)}
+                        disabled={!assessment.sections?.length}
+                        className="px-4 py-2 border border-gray-300 rounded text-gray-700 hover:bg-gray-50 disabled:opacity-50"
                     >
-                        {showPreview ? 'Edit' : 'Preview'}
+                        Save as Template
                     </button>
                     <button
-                        onClick={saveAssessment}
-                        className="px-4 py-2 bg-blue-600 text-white rounded hover:bg-blue-700"
+                        onClick={downloadExport}
+                        className="px-4 py-2 border border-gray-300 rounded text-gray-700 hover:bg-gray-50"
+                    >
+                        Export
+                    </button>
+                    <button
+                        onClick={() => importInputRef.current.click()}
+                        className="px-4 py-2 border border-gray-300 rounded text-gray-700 hover:bg-gray-50"
+                    >
+                        Import
+                    </button>
+                    <input
+                        ref={importInputRef}
+                        type="file"
+                        accept=".json,application/json"
+                        onChange={(e) => {
+                            if (e.target.files[0]) importFile(e.target.files[0]);
+                            e.target.value = '';
+                        }}
+                        className="hidden"
+                    />
+                    <button
+                        onClick={() => setShowHistory(!showHistory)}
+                        className="px-4 py-2 border border-gray-300 rounded text-gray-700 hover:bg-gray-50"
+                    >
+                        {showHistory ? 'Hide History' : 'History'}
+                    </button>
+                    <button
+                        onClick={() => saveAssessment()}
+                        disabled={saving || (!dirty && saved.version !== undefined)}
+                        className="px-4 py-2 bg-blue-600 text-white rounded hover:bg-blue-700 disabled:opacity-50"
                     >
-                        Save Assessment
+                        {saving ? 'Saving...' : 'Save Assessment'}
                     </button>
                 </div>
             </div>
 
-            <div className="bg-white rounded-lg shadow p-6">
-                {showPreview ? (
-                    <AssessmentPreview assessment={assessment} />
-                ) : (
-                    <AssessmentEditor assessment={assessment} onChange={setAssessment} />
-                )}
+            {importErrors && (
+                <div className="bg-red-50 border border-red-200 rounded-lg p-4 mb-6">
+                    <div className="flex items-start justify-between">
+                        <div>
+                            <p className="text-sm font-medium text-red-800 mb-2">
+                                The file couldn't be imported. Nothing was changed.
+                            </p>
+                            <ul className="list-disc list-inside text-sm text-red-700 space-y-1">
+                                {importErrors.map(message => <li key={message}>{message}</li>)}
+                            </ul>
+                        </div>
+                        <button onClick={() => setImportErrors(null)} className="p-1 text-red-400 hover:text-red-600">
+                            <X className="h-4 w-4" />
+                        </button>
+                    </div>
+                </div>
+            )}
+
+            {recoveredDraft && (
+                <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-4 mb-6 flex items-center justify-between">
+                    <p className="text-sm text-yellow-800">
+                        Recovered unsaved changes from {new Date(recoveredDraft.savedAt).toLocaleString()}.
+                        {recoveredDraft.baseVersion !== (saved.version ?? null) && (
+                            ` They were made on ${recoveredDraft.baseVersion ? `version ${recoveredDraft.baseVersion}` : 'an unsaved assessment'}, but version ${saved.version} has been saved since.`
+                        )}
+                    </p>
+                    <button
+                        onClick={discardDraft}
+                        className="ml-4 px-3 py-1 text-sm border border-yellow-300 rounded text-yellow-800 hover:bg-yellow-100"
+                    >
+                        Discard draft
+                    </button>
+                </div>
+            )}
+
+            {showHistory && (
+                <div className="bg-white rounded-lg shadow p-6 mb-6">
+                    <AssessmentHistory jobId={jobId} currentVersion={assessment.version} onRestore={restoreVersion} />
+                </div>
+            )}
+
+            {!assessment.sections?.length && !saved.version && (
+                <div className="bg-white rounded-lg shadow p-6 mb-6">
+                    <AssessmentStarter jobId={jobId} onStart={startFrom} />
+                </div>
+            )}
+
+            {showTemplateModal && (
+                <SaveTemplateModal
+                    assessment={assessment}
+                    onClose={() => setShowTemplateModal(false)}
+                />
+            )}
+
+            {/* Editor and live preview side by side, stacked on narrow screens */}
+            <div className="grid grid-cols-1 lg:grid-cols-2 gap-6 items-start">
+                <div ref={editorRef} className="bg-white rounded-lg shadow p-6 min-w-0">
+                    <AssessmentEditor
+                        assessment={assessment}
+                        onChange={setAssessment}
+                        activeQuestionId={activeQuestionId}
+                    />
+                </div>
+                <div className="bg-white rounded-lg shadow p-6 min-w-0 lg:sticky lg:top-4 lg:max-h-[calc(100vh-2rem)] lg:overflow-y-auto">
+                    <p className="text-xs font-medium text-gray-400 uppercase tracking-wide mb-4">
+                        Live preview - click a question to edit it
+                    </p>
+                    <AssessmentPreview assessment={assessment} onSelectQuestion={focusQuestionEditor} />
+                </div>
             </div>
         </div>
     );
 }
 
-// Assessment Editor Component
-function AssessmentEditor({ assessment, onChange }) {
-    const addSection = () => {
-        const newSection = {
-            id: `section-${Date.now()}`,
-            title: 'New Section',
-            questions: []
-        };
+// Assessment Starter Component - offers templates and other jobs' assessments to an empty assessment
+function AssessmentStarter({ jobId, onStart }) {
+    const [templates, setTemplates] = useState([]);
+    const [sources, setSources] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [templateId, setTemplateId] = useState('');
+    const [sourceJobId, setSourceJobId] = useState('');
+
+    useEffect(() => {
+        const loadSources = async () => {
+            try {
+                const [loadedTemplates, assessments, jobsResponse] = await Promise.all([
+                    api.getAssessmentTemplates(),
+                    api.getAssessments(),
+                    api.getJobs({ pageSize: 1000 })
+                ]);
+                const jobTitles = Object.fromEntries(jobsResponse.data.map(job => [job.id, job.title]));
+
+                setTemplates(loadedTemplates);
+                setSources(assessments
+                    .filter(assessment => assessment.jobId !== jobId && assessment.sections?.length)
+                    .map(assessment => ({ ...assessment, jobTitle: jobTitles[assessment.jobId] || assessment.jobId })));
+                setTemplateId(loadedTemplates[0]?.id || '');
+            } catch (error) {
+                console.error('Failed to load assessment templates:', error);
+            } finally {
+                setLoading(false);
+            }
+        };
+
+        loadSources();
+    }, [jobId]);
+
+    if (loading) {
+        return <p className="text-gray-500 text-sm">Loading templates...</p>;
+    }
+
+    return (
+        <div>
+            <h3 className="text-lg font-semibold mb-1">Start from an existing assessment</h3>
+            <p className="text-sm text-gray-500 mb-4">
+                The questions are copied with new ids, so later edits here don't affect the original.
+            </p>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">Template</label>
+                    {templates.length === 0 ? (
+                        <p className="text-sm text-gray-500">No templates yet - use "Save as Template" on any assessment.</p>
+                    ) : (
+                        <div className="flex space-x-2">
+                            <select
+                                value={templateId}
+                                onChange={(e) => setTemplateId(e.target.value)}
+                                className="flex-1 px-3 py-2 border border-gray-300 rounded-md"
+                            >
+                                {templates.map(template => (
+                                    <option key={template.id} value={template.id}>{template.name}</option>
+                                ))}
+                            </select>
+                            <button
+                                onClick={() => onStart(templates.find(template => template.id === templateId))}
+                                className="px-4 py-2 bg-blue-600 text-white rounded hover:bg-blue-700"
+                            >
+                                Use
+                            </button>
+                        </div>
+                    )}
+                </div>
+                <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">Copy from another job</label>
+                    {sources.length === 0 ? (
+                        <p className="text-sm text-gray-500">No other job has an assessment yet.</p>
+                    ) : (
+                        <div className="flex space-x-2">
+                            <select
+                                value={sourceJobId}
+                                onChange={(e) => setSourceJobId(e.target.value)}
+                                className="flex-1 px-3 py-2 border border-gray-300 rounded-md"
+                            >
+                                <option value="">Choose a job...</option>
+                                {sources.map(source => (
+                                    <option key={source.jobId} value={source.jobId}>{source.jobTitle}</option>
+                                ))}
+                            </select>
+                            <button
+                                onClick={() => onStart(sources.find(source => source.jobId === sourceJobId))}
+                                disabled={!sourceJobId}
+                                className="px-4 py-2 bg-blue-600 text-white rounded hover:bg-blue-700 disabled:opacity-50"
+                            >
+                                Copy
+                            </button>
+                        </div>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+}
+
+// Save Template Modal Component - names the current editor content as a reusable template
+function SaveTemplateModal({ assessment, onClose }) {
+    const [name, setName] = useState(assessment.title || '');
+    const [error, setError] = useState(null);
+    const [saving, setSaving] = useState(false);
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setSaving(true);
+        setError(null);
+        try {
+            await api.createAssessmentTemplate(name, assessment);
+            onClose();
+        } catch (err) {
+            setError(err instanceof ValidationError ? err.fields.name : 'Failed to save the template. Please try again.');
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    return (
+        <div className="fixed inset-0 bg-gray-600 bg-opacity-50 flex items-center justify-center z-50">
+            <div className="bg-white rounded-lg p-6 w-full max-w-md">
+                <div className="flex justify-between items-center mb-4">
+                    <h3 className="text-lg font-semibold">Save as Template</h3>
+                    <button onClick={onClose} className="text-gray-400 hover:text-gray-600">
+                        <X className="h-6 w-6" />
+                    </button>
+                </div>
+
+                <form onSubmit={handleSubmit} className="space-y-4">
+                    <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-1">Template name</label>
+                        <input
+                            type="text"
+                            autoFocus
+                            required
+                            value={name}
+                            onChange={(e) => setName(e.target.value)}
+                            className={`w-full px-3 py-2 border rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 ${
+                                error ? 'border-red-500' : 'border-gray-300'
+                            }`}
+                        />
+                        {error && <p className="mt-1 text-sm text-red-600">{error}</p>}
+                    </div>
+                    <p className="text-sm text-gray-500">
+                        Saves the questions as they are in the editor now, including unsaved changes.
+                    </p>
+                    <div className="flex justify-end space-x-3">
+                        <button
+                            type="button"
+                            onClick={onClose}
+                            className="px-4 py-2 text-gray-700 border border-gray-300 rounded-md hover:bg-gray-50"
+                        >
+                            Cancel
+                        </button>
+                        <button
+                            type="submit"
+                            disabled={saving || !name.trim()}
+                            className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50"
+                        >
+                            {saving ? 'Saving...' : 'Save Template'}
+                        </button>
+                    </div>
+                </form>
+            </div>
+        </div>
+    );
+}
+
+// Save Status Component - where the builder's edits currently live
+function SaveStatus({ saving, error, dirty, draftSavedAt, version }) {
+    if (saving) {
+        return <span className="text-sm text-gray-500 mr-2">Saving...</span>;
+    }
+    if (error) {
+        return <span className="text-sm text-red-600 mr-2">{error}</span>;
+    }
+    if (dirty) {
+        return (
+            <span className="flex items-center text-sm text-yellow-700 mr-2">
+                <span className="h-2 w-2 rounded-full bg-yellow-500 mr-2" />
+                Unsaved changes
+                {draftSavedAt && (
+                    <span className="text-gray-500 ml-1">
+                        - draft kept locally at {new Date(draftSavedAt).toLocaleTimeString()}
+                    </span>
+                )}
+            </span>
+        );
+    }
+    return (
+        <span className="text-sm text-gray-500 mr-2">
+            {version ? `All changes saved - version ${version}` : 'Not saved yet'}
+        </span>
+    );
+}
+
+// Assessment History Component - saved versions, what changed between two of them, and restore
+function AssessmentHistory({ jobId, currentVersion, onRestore }) {
+    const [versions, setVersions] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [compare, setCompare] = useState({ from: null, to: null });
+
+    useEffect(() => {
+        const loadVersions = async () => {
+            setLoading(true);
+            try {
+                const loaded = await api.getAssessmentVersions(jobId);
+                setVersions(loaded);
+                // Compare the latest save with the one before it until the user picks otherwise
+                setCompare({ from: loaded[1]?.version ?? null, to: loaded[0]?.version ?? null });
+            } catch (error) {
+                console.error('Failed to load assessment history:', error);
+            } finally {
+                setLoading(false);
+            }
+        };
+
+        loadVersions();
+    }, [jobId, currentVersion]);
+
+    if (loading) {
+        return <p className="text-gray-500 text-sm">Loading history...</p>;
+    }
+
+    if (versions.length === 0) {
+        return <p className="text-gray-500 text-sm">This assessment hasn't been saved yet.</p>;
+    }
+
+    const from = versions.find(v => v.version === compare.from);
+    const to = versions.find(v => v.version === compare.to);
+    const changes = from && to ? diffAssessments(from, to) : [];
+
+    const versionSelect = (key) => (
+        <select
+            value={compare[key] ?? ''}
+            onChange={(e) => setCompare({ ...compare, [key]: Number(e.target.value) })}
+            className="px-2 py-1 border border-gray-300 rounded-md text-sm"
+        >
+            {versions.map(v => (
+                <option key={v.version} value={v.version}>Version {v.version}</option>
+            ))}
+        </select>
+    );
+
+    return (
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+            <div>
+                <h3 className="text-lg font-semibold mb-3">Versions</h3>
+                <ul className="divide-y divide-gray-100 max-h-80 overflow-y-auto">
+                    {versions.map(v => (
+                        <li key={v.version} className="py-2 flex items-center justify-between">
+                            <div>
+                                <p className="text-sm font-medium text-gray-900">
+                                    Version {v.version}
+                                    {v.version === currentVersion && <span className="ml-2 text-xs text-green-700">current</span>}
+                                </p>
+                                <p className="text-xs text-gray-500">
+                                    {v.updatedAt ? new Date(v.updatedAt).toLocaleString() : 'Before history was kept'}
+                                    {v.updatedBy && ` by ${v.updatedBy}`}
+                                    {v.restoredFrom && ` - restored from version ${v.restoredFrom}`}
+                                </p>
+                            </div>
+                            {v.version !== currentVersion && (
+                                <button
+                                    onClick={() => onRestore(v.version)}
+                                    className="px-3 py-1 text-sm border border-gray-300 rounded hover:bg-gray-50"
+                                >
+                                    Restore
+                                </button>
+                            )}
+                        </li>
+                    ))}
+                </ul>
+            </div>
+
+            <div>
+                <h3 className="text-lg font-semibold mb-3">Changes</h3>
+                {versions.length < 2 ? (
+                    <p className="text-sm text-gray-500">Only one version so far.</p>
+                ) : (
+                    <>
+                        <div className="flex items-center space-x-2 mb-3 text-sm text-gray-600">
+                            <span>From</span>
+                            {versionSelect('from')}
+                            <span>to</span>
+                            {versionSelect('to')}
+                        </div>
+                        {changes.length === 0 ? (
+                            <p className="text-sm text-gray-500">No differences.</p>
+                        ) : (
+                            <ul className="space-y-1 text-sm max-h-72 overflow-y-auto">
+                                {changes.map((change, index) => (
+                                    <li
+                                        key={index}
+                                        className={{
+                                            added: 'text-green-700',
+                                            removed: 'text-red-700',
+                                            changed: 'text-gray-800'
+                                        }[change.kind]}
+                                    >
+                                        {{ added: '+', removed: '-', changed: '~' }[change.kind]} {change.text}
+                                    </li>
+                                ))}
+                            </ul>
+                        )}
+                    </>
+                )}
+            </div>
+        </div>
+    );
+}
+
+// Assessment Editor Component
+function AssessmentEditor({ assessment, onChange, activeQuestionId }) {
+    // { sectionId, questionId } while a question is dragged, { sectionId } while a section is
+    const [dragging, setDragging] = useState(null);
+
+    const addSection = () => {
+        const newSection = {
+            id: `section-${Date.now()}`,
+            title: 'New Section',
+            questions: []
+        };
 
         onChange({
             ...assessment,
@@ -1108,6 +4765,9 @@ function AssessmentEditor({ assessment, onChange }) {
         });
     };
 
+    // Conditions may only refer to questions that come earlier in the assessment
+    const allQuestions = (assessment.sections || []).flatMap(section => section.questions || []);
+
     const addQuestion = (sectionId) => {
         const newQuestion = {
             id: `q-${Date.now()}`,
@@ -1118,186 +4778,1365 @@ function AssessmentEditor({ assessment, onChange }) {
             validation: {}
         };
 
-        onChange({
-            ...assessment,
-            sections: assessment.sections.map(section =>
-                section.id === sectionId
-                    ? { ...section, questions: [...section.questions, newQuestion] }
-                    : section
-            )
+        onChange({
+            ...assessment,
+            sections: assessment.sections.map(section =>
+                section.id === sectionId
+                    ? { ...section, questions: [...section.questions, newQuestion] }
+                    : section
+            )
+        });
+    };
+
+    const duplicateQuestion = (sectionId, question) => {
+        const copy = { ...question, id: `q-${Date.now()}`, question: `${question.question} (copy)` };
+
+        onChange({
+            ...assessment,
+            sections: assessment.sections.map(section => {
+                if (section.id !== sectionId) return section;
+                const questions = [...section.questions];
+                questions.splice(questions.findIndex(q => q.id === question.id) + 1, 0, copy);
+                return { ...section, questions };
+            })
+        });
+    };
+
+    // Conditions that pointed at a deleted question are flagged in ConditionEditor rather than silently dropped
+    const deleteQuestion = (sectionId, questionId) => {
+        onChange({
+            ...assessment,
+            sections: assessment.sections.map(section =>
+                section.id === sectionId
+                    ? { ...section, questions: section.questions.filter(q => q.id !== questionId) }
+                    : section
+            )
+        });
+    };
+
+    const duplicateSection = (section) => {
+        const [fresh] = withFreshIds([section]);
+        const copy = { ...fresh, title: `${section.title} (copy)` };
+
+        const sections = [...assessment.sections];
+        sections.splice(sections.findIndex(s => s.id === section.id) + 1, 0, copy);
+        onChange({ ...assessment, sections });
+    };
+
+    const deleteSection = (section) => {
+        const count = section.questions?.length || 0;
+        if (count > 0 && !confirm(`Delete "${section.title}" and its ${count} question${count === 1 ? '' : 's'}?`)) {
+            return;
+        }
+
+        onChange({ ...assessment, sections: assessment.sections.filter(s => s.id !== section.id) });
+    };
+
+    // Dropping on a question takes its place; dropping on a section's empty space appends to it
+    const dropQuestion = (toSectionId, targetQuestionId) => {
+        const from = dragging;
+        setDragging(null);
+        if (!from?.questionId || from.questionId === targetQuestionId) return;
+
+        const moved = assessment.sections
+            .find(section => section.id === from.sectionId)
+            .questions.find(q => q.id === from.questionId);
+        const targetIndex = targetQuestionId
+            ? assessment.sections.find(section => section.id === toSectionId).questions.findIndex(q => q.id === targetQuestionId)
+            : -1;
+
+        onChange({
+            ...assessment,
+            sections: assessment.sections.map(section => {
+                let questions = section.id === from.sectionId
+                    ? section.questions.filter(q => q.id !== from.questionId)
+                    : section.questions;
+                if (section.id === toSectionId) {
+                    questions = [...questions];
+                    questions.splice(targetIndex === -1 ? questions.length : targetIndex, 0, moved);
+                }
+                return questions === section.questions ? section : { ...section, questions };
+            })
+        });
+    };
+
+    const dropSection = (targetSectionId) => {
+        const from = dragging;
+        setDragging(null);
+        if (!from || from.questionId || from.sectionId === targetSectionId) return;
+
+        const sections = assessment.sections.filter(s => s.id !== from.sectionId);
+        sections.splice(
+            assessment.sections.findIndex(s => s.id === targetSectionId),
+            0,
+            assessment.sections.find(s => s.id === from.sectionId)
+        );
+        onChange({ ...assessment, sections });
+    };
+
+    return (
+        <div className="space-y-6">
+            <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Assessment Title
+                </label>
+                <input
+                    type="text"
+                    value={assessment.title || ''}
+                    onChange={(e) => onChange({ ...assessment, title: e.target.value })}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                />
+            </div>
+
+            <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Pass threshold (% of points)
+                </label>
+                <ThresholdInput
+                    value={assessment.passThreshold}
+                    onChange={(passThreshold) => onChange({ ...assessment, passThreshold })}
+                />
+                <p className="text-xs text-gray-500 mt-1">
+                    Candidates also need to pass every section that has its own threshold. Leave blank to pass on any score.
+                </p>
+            </div>
+
+            <div>
+                <div className="flex justify-between items-center mb-4">
+                    <h3 className="text-lg font-semibold">Sections</h3>
+                    <button
+                        onClick={addSection}
+                        className="bg-blue-600 text-white px-4 py-2 rounded hover:bg-blue-700 flex items-center"
+                    >
+                        <Plus className="h-4 w-4 mr-2" />
+                        Add Section
+                    </button>
+                </div>
+
+                {assessment.sections?.map((section) => (
+                    <div
+                        key={section.id}
+                        onDragOver={(e) => e.preventDefault()}
+                        onDrop={() => (dragging?.questionId ? dropQuestion(section.id, null) : dropSection(section.id))}
+                        className={`border rounded p-4 mb-4 ${
+                            dragging && dragging.sectionId !== section.id && !dragging.questionId
+                                ? 'border-blue-300 border-dashed' : 'border-gray-200'
+                        } ${dragging?.sectionId === section.id && !dragging.questionId ? 'opacity-50' : ''}`}
+                    >
+                        <div className="flex justify-between items-center mb-4">
+                            <div className="flex items-center flex-1 min-w-0">
+                                <span
+                                    draggable
+                                    onDragStart={() => setDragging({ sectionId: section.id })}
+                                    onDragEnd={() => setDragging(null)}
+                                    className="cursor-move mr-2"
+                                    title="Drag to reorder sections"
+                                >
+                                    <Menu className="h-5 w-5 text-gray-400" />
+                                </span>
+                                <input
+                                    type="text"
+                                    value={section.title}
+                                    onChange={(e) => updateSection(section.id, { title: e.target.value })}
+                                    className="flex-1 min-w-0 text-lg font-medium bg-transparent border-none focus:outline-none focus:ring-0"
+                                />
+                            </div>
+                            <div className="flex items-center space-x-2">
+                                <span className="text-xs text-gray-500">Pass at</span>
+                                <ThresholdInput
+                                    value={section.passThreshold}
+                                    onChange={(passThreshold) => updateSection(section.id, { passThreshold })}
+                                />
+                                <button
+                                    onClick={() => duplicateSection(section)}
+                                    className="p-1 text-gray-400 hover:text-gray-700"
+                                    title="Duplicate section"
+                                >
+                                    <Copy className="h-4 w-4" />
+                                </button>
+                                <button
+                                    onClick={() => deleteSection(section)}
+                                    className="p-1 text-gray-400 hover:text-red-600"
+                                    title="Delete section"
+                                >
+                                    <Trash2 className="h-4 w-4" />
+                                </button>
+                                <button
+                                    onClick={() => addQuestion(section.id)}
+                                    className="bg-green-600 text-white px-3 py-1 rounded text-sm hover:bg-green-700"
+                                >
+                                    Add Question
+                                </button>
+                            </div>
+                        </div>
+
+                        <div className="space-y-4">
+                            {section.questions?.map((question) => (
+                                <div
+                                    key={question.id}
+                                    data-question-id={question.id}
+                                    onDragOver={(e) => e.preventDefault()}
+                                    onDrop={(e) => {
+                                        if (!dragging?.questionId) return;
+                                        e.stopPropagation();
+                                        dropQuestion(section.id, question.id);
+                                    }}
+                                    className={`flex items-start rounded transition-shadow ${
+                                        dragging?.questionId === question.id ? 'opacity-50' : ''
+                                    } ${activeQuestionId === question.id ? 'ring-2 ring-blue-400' : ''}`}
+                                >
+                                    <span
+                                        draggable
+                                        onDragStart={() => setDragging({ sectionId: section.id, questionId: question.id })}
+                                        onDragEnd={() => setDragging(null)}
+                                        className="cursor-move pt-3 pr-2"
+                                        title="Drag to reorder or move to another section"
+                                    >
+                                        <Menu className="h-4 w-4 text-gray-400" />
+                                    </span>
+                                    <div className="flex-1 min-w-0">
+                                        <QuestionEditor
+                                            question={question}
+                                            earlierQuestions={allQuestions.slice(0, allQuestions.findIndex(q => q.id === question.id))}
+                                            onChange={(updatedQuestion) => {
+                                                updateSection(section.id, {
+                                                    questions: section.questions.map(q =>
+                                                        q.id === question.id ? updatedQuestion : q
+                                                    )
+                                                });
+                                            }}
+                                        />
+                                    </div>
+                                    <div className="flex flex-col pl-2 pt-2 space-y-1">
+                                        <button
+                                            onClick={() => duplicateQuestion(section.id, question)}
+                                            className="p-1 text-gray-400 hover:text-gray-700"
+                                            title="Duplicate question"
+                                        >
+                                            <Copy className="h-4 w-4" />
+                                        </button>
+                                        <button
+                                            onClick={() => deleteQuestion(section.id, question.id)}
+                                            className="p-1 text-gray-400 hover:text-red-600"
+                                            title="Delete question"
+                                        >
+                                            <Trash2 className="h-4 w-4" />
+                                        </button>
+                                    </div>
+                                </div>
+                            ))}
+
+                            {section.questions?.length === 0 && (
+                                <p className="text-sm text-gray-400 text-center py-4">
+                                    No questions yet - add one or drag one here
+                                </p>
+                            )}
+                        </div>
+                    </div>
+                ))}
+            </div>
+        </div>
+    );
+}
+
+// Threshold Input Component - a percentage, where blank means no threshold
+function ThresholdInput({ value, onChange }) {
+    return (
+        <div className="inline-flex items-center">
+            <input
+                type="number"
+                min={0}
+                max={100}
+                value={value ?? ''}
+                onChange={(e) => onChange(e.target.value === '' ? undefined : Math.min(100, Math.max(0, Number(e.target.value))))}
+                className="w-20 px-2 py-1 border border-gray-300 rounded-md text-sm"
+                placeholder="-"
+            />
+            <span className="ml-1 text-sm text-gray-500">%</span>
+        </div>
+    );
+}
+
+// Question Editor Component
+function QuestionEditor({ question, earlierQuestions, onChange }) {
+    return (
+        <div className="border-l-4 border-blue-500 pl-4 py-2">
+            <div className="grid grid-cols-2 gap-4 mb-2">
+                <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">
+                        Question
+                    </label>
+                    <input
+                        type="text"
+                        value={question.question}
+                        onChange={(e) => onChange({ ...question, question: e.target.value })}
+                        className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm"
+                    />
+                </div>
+                <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">
+                        Type
+                    </label>
+                    <select
+                        value={question.type}
+                        onChange={(e) => onChange({ ...question, type: e.target.value })}
+                        className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm"
+                    >
+                        {QUESTION_TYPES.map(type => (
+                            <option key={type} value={type}>{type}</option>
+                        ))}
+                    </select>
+                </div>
+            </div>
+
+            <div className="flex items-center mb-2">
+                <input
+                    type="checkbox"
+                    checked={question.required}
+                    onChange={(e) => onChange({ ...question, required: e.target.checked })}
+                    className="mr-2"
+                />
+                <label className="text-sm text-gray-700">Required</label>
+            </div>
+
+            <ValidationRulesEditor question={question} onChange={onChange} />
+
+            {['single-choice', 'multi-choice'].includes(question.type) && (
+                <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">
+                        Options (one per line)
+                    </label>
+                    <textarea
+                        value={question.options?.join('\n') || ''}
+                        onChange={(e) => onChange({
+                            ...question,
+                            options: e.target.value.split('\n').filter(Boolean)
+                        })}
+                        className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm"
+                        rows={3}
+                        placeholder="Option 1&#10;Option 2&#10;Option 3"
+                    />
+                </div>
+            )}
+
+            <ScoringEditor question={question} onChange={onChange} />
+
+            <ConditionEditor
+                visibility={question.visibility}
+                earlierQuestions={earlierQuestions}
+                onChange={(visibility) => onChange({ ...question, visibility })}
+            />
+        </div>
+    );
+}
+
+// Validation Rules Editor Component - the rules validateAnswer applies for the question's type
+function ValidationRulesEditor({ question, onChange }) {
+    const rules = question.validation || {};
+
+    const fields = {
+        numeric: [['min', 'Min value'], ['max', 'Max value']],
+        'short-text': [['minLength', 'Min length'], ['maxLength', 'Max length']],
+        'long-text': [['minLength', 'Min length'], ['maxLength', 'Max length']],
+        'multi-choice': [['minChoices', 'Min choices'], ['maxChoices', 'Max choices']],
+        'file-upload': [['maxSizeMB', 'Max size (MB)']]
+    }[question.type];
+
+    if (!fields) {
+        return null;
+    }
+
+    // Blank inputs remove the rule rather than storing an empty value
+    const updateRule = (key, value) => {
+        const validation = { ...rules };
+        if (value === '') {
+            delete validation[key];
+        } else {
+            validation[key] = value;
+        }
+        onChange({ ...question, validation });
+    };
+
+    const isText = question.type === 'short-text' || question.type === 'long-text';
+    const patternInvalid = isText && rules.pattern && !compilePattern(rules.pattern);
+
+    return (
+        <div className="mb-2">
+            <div className="grid grid-cols-2 gap-4">
+                {fields.map(([key, label]) => (
+                    <div key={key}>
+                        <label className="block text-xs font-medium text-gray-600 mb-1">{label}</label>
+                        <input
+                            type="number"
+                            min={question.type === 'numeric' ? undefined : 0}
+                            value={rules[key] ?? ''}
+                            onChange={(e) => updateRule(key, e.target.value === '' ? '' : Number(e.target.value))}
+                            className="w-full px-3 py-1 border border-gray-300 rounded-md text-sm"
+                        />
+                    </div>
+                ))}
+            </div>
+
+            {question.type === 'file-upload' && (
+                <div className="mt-2">
+                    <label className="block text-xs font-medium text-gray-600 mb-1">Allowed types</label>
+                    <input
+                        type="text"
+                        value={rules.accept || ''}
+                        onChange={(e) => updateRule('accept', e.target.value)}
+                        className="w-full px-3 py-1 border border-gray-300 rounded-md text-sm"
+                        placeholder=".pdf, .docx, image/* (blank allows any file)"
+                    />
+                </div>
+            )}
+
+            {isText && (
+                <div className="grid grid-cols-2 gap-4 mt-2">
+                    <div>
+                        <label className="block text-xs font-medium text-gray-600 mb-1">Pattern (regular expression)</label>
+                        <input
+                            type="text"
+                            value={rules.pattern || ''}
+                            onChange={(e) => updateRule('pattern', e.target.value)}
+                            className={`w-full px-3 py-1 border rounded-md text-sm font-mono ${patternInvalid ? 'border-red-500' : 'border-gray-300'}`}
+                            placeholder="^[A-Z]{2}\d+$"
+                        />
+                        {patternInvalid && <p className="mt-1 text-xs text-red-600">This pattern is not a valid regular expression</p>}
+                    </div>
+                    <div>
+                        <label className="block text-xs font-medium text-gray-600 mb-1">Message when pattern fails</label>
+                        <input
+                            type="text"
+                            value={rules.patternMessage || ''}
+                            onChange={(e) => updateRule('patternMessage', e.target.value)}
+                            disabled={!rules.pattern}
+                            className="w-full px-3 py-1 border border-gray-300 rounded-md text-sm disabled:bg-gray-50"
+                            placeholder="Answer is not in the expected format"
+                        />
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+}
+
+// Scoring Editor Component - points, plus the correct options or accepted range that let a question score itself
+function ScoringEditor({ question, onChange }) {
+    const numberOrUndefined = (value) => (value === '' ? undefined : Number(value));
+    const isChoice = question.type === 'single-choice' || question.type === 'multi-choice';
+
+    // Options that were renamed or removed drop out of the correct list
+    const toggleCorrect = (option, checked) => {
+        const current = (question.correct || []).filter(o => question.options?.includes(o));
+        onChange({ ...question, correct: checked ? [...current, option] : current.filter(o => o !== option) });
+    };
+
+    return (
+        <div className="mt-2 flex flex-wrap items-start gap-4 text-sm">
+            <div>
+                <label className="block text-xs font-medium text-gray-600 mb-1">Points</label>
+                <input
+                    type="number"
+                    min={0}
+                    value={question.points ?? ''}
+                    onChange={(e) => onChange({ ...question, points: numberOrUndefined(e.target.value) })}
+                    className="w-20 px-2 py-1 border border-gray-300 rounded-md"
+                    placeholder="0"
+                />
+            </div>
+
+            {question.points > 0 && isChoice && (
+                <div>
+                    <span className="block text-xs font-medium text-gray-600 mb-1">
+                        {question.type === 'single-choice' ? 'Accepted answers' : 'Correct options (all must be picked)'}
+                    </span>
+                    <div className="flex flex-wrap gap-3">
+                        {question.options?.map(option => (
+                            <label key={option} className="flex items-center">
+                                <input
+                                    type="checkbox"
+                                    checked={question.correct?.includes(option) || false}
+                                    onChange={(e) => toggleCorrect(option, e.target.checked)}
+                                    className="mr-1"
+                                />
+                                {option}
+                            </label>
+                        ))}
+                    </div>
+                </div>
+            )}
+
+            {question.points > 0 && question.type === 'numeric' && ['min', 'max'].map(bound => (
+                <div key={bound}>
+                    <label className="block text-xs font-medium text-gray-600 mb-1">
+                        Correct {bound === 'min' ? 'from' : 'to'}
+                    </label>
+                    <input
+                        type="number"
+                        value={question.acceptRange?.[bound] ?? ''}
+                        onChange={(e) => onChange({
+                            ...question,
+                            acceptRange: { ...question.acceptRange, [bound]: numberOrUndefined(e.target.value) }
+                        })}
+                        className="w-24 px-2 py-1 border border-gray-300 rounded-md"
+                    />
+                </div>
+            ))}
+
+            {question.points > 0 && !isAutoScored(question) && (
+                <p className="self-end text-xs text-gray-500 pb-1">
+                    {isChoice || question.type === 'numeric'
+                        ? 'Set the correct answer to score this automatically, or a reviewer will grade it.'
+                        : 'A reviewer grades this answer after submission.'}
+                </p>
+            )}
+        </div>
+    );
+}
+
+// Condition Editor Component - show/hide rules that refer to earlier questions
+function ConditionEditor({ visibility, earlierQuestions, onChange }) {
+    const rules = visibility?.rules || [];
+
+    const updateRule = (index, updates) => {
+        onChange({ ...visibility, rules: rules.map((rule, i) => (i === index ? { ...rule, ...updates } : rule)) });
+    };
+
+    const addRule = () => {
+        const [first] = earlierQuestions;
+        onChange({
+            action: visibility?.action || 'show',
+            match: visibility?.match || 'all',
+            rules: [...rules, { questionId: first.id, operator: 'equals', value: first.options?.[0] || '' }]
+        });
+    };
+
+    const removeRule = (index) => {
+        const remaining = rules.filter((_, i) => i !== index);
+        onChange(remaining.length ? { ...visibility, rules: remaining } : undefined);
+    };
+
+    if (earlierQuestions.length === 0) {
+        return null;
+    }
+
+    return (
+        <div className="mt-3">
+            {rules.length > 0 && (
+                <div className="bg-gray-50 rounded p-3 space-y-2 text-sm">
+                    <div className="flex items-center space-x-2">
+                        <select
+                            value={visibility.action}
+                            onChange={(e) => onChange({ ...visibility, action: e.target.value })}
+                            className="px-2 py-1 border border-gray-300 rounded-md"
+                        >
+                            <option value="show">Show only if</option>
+                            <option value="hide">Hide if</option>
+                        </select>
+                        <select
+                            value={visibility.match}
+                            onChange={(e) => onChange({ ...visibility, match: e.target.value })}
+                            className="px-2 py-1 border border-gray-300 rounded-md"
+                        >
+                            <option value="all">all</option>
+                            <option value="any">any</option>
+                        </select>
+                        <span className="text-gray-600">of these are true:</span>
+                    </div>
+
+                    {rules.map((rule, index) => {
+                        const source = earlierQuestions.find(q => q.id === rule.questionId);
+
+                        return (
+                            <div key={index} className="flex items-center space-x-2">
+                                <select
+                                    value={source ? rule.questionId : ''}
+                                    onChange={(e) => {
+                                        const next = earlierQuestions.find(q => q.id === e.target.value);
+                                        updateRule(index, { questionId: next.id, value: next.options?.[0] || '' });
+                                    }}
+                                    className={`flex-1 min-w-0 px-2 py-1 border rounded-md ${source ? 'border-gray-300' : 'border-red-500'}`}
+                                >
+                                    {!source && <option value="">Missing question - pick another</option>}
+                                    {earlierQuestions.map(q => (
+                                        <option key={q.id} value={q.id}>{q.question}</option>
+                                    ))}
+                                </select>
+                                <select
+                                    value={rule.operator}
+                                    onChange={(e) => updateRule(index, { operator: e.target.value })}
+                                    className="px-2 py-1 border border-gray-300 rounded-md"
+                                >
+                                    {CONDITION_OPERATORS.map(operator => (
+                                        <option key={operator.id} value={operator.id}>{operator.label}</option>
+                                    ))}
+                                </select>
+                                {source?.options?.length ? (
+                                    <select
+                                        value={rule.value}
+                                        onChange={(e) => updateRule(index, { value: e.target.value })}
+                                        className="px-2 py-1 border border-gray-300 rounded-md"
+                                    >
+                                        {source.options.map(option => (
+                                            <option key={option} value={option}>{option}</option>
+                                        ))}
+                                    </select>
+                                ) : (
+                                    <input
+                                        type={source?.type === 'numeric' ? 'number' : 'text'}
+                                        value={rule.value}
+                                        onChange={(e) => updateRule(index, { value: e.target.value })}
+                                        className="w-28 px-2 py-1 border border-gray-300 rounded-md"
+                                    />
+                                )}
+                                <button
+                                    onClick={() => removeRule(index)}
+                                    className="p-1 text-gray-400 hover:text-red-600"
+                                    title="Remove condition"
+                                >
+                                    <X className="h-4 w-4" />
+                                </button>
+                            </div>
+                        );
+                    })}
+                </div>
+            )}
+
+            <button onClick={addRule} className="mt-2 text-sm text-blue-600 hover:underline">
+                + Add condition
+            </button>
+        </div>
+    );
+}
+
+// Assessment Preview Component
+function AssessmentPreview({ assessment, onSelectQuestion }) {
+    const [responses, setResponses] = useState({});
+    const [errors, setErrors] = useState({});
+    const [checked, setChecked] = useState(false);
+
+    // Answers are checked as they're typed, but blank required fields only complain after "Check answers"
+    const updateResponse = (question, value) => {
+        setResponses({ ...responses, [question.id]: value });
+        setErrors({
+            ...errors,
+            [question.id]: checked || !isAnswerEmpty(value) ? validateAnswer(question, value) : undefined
+        });
+    };
+
+    const checkAnswers = () => {
+        setChecked(true);
+        setErrors(validateAnswers(assessment, responses));
+    };
+
+    const errorCount = Object.values(validateAnswers(assessment, responses)).length;
+
+    return (
+        <div className="max-w-2xl mx-auto">
+            <h2 className="text-2xl font-bold mb-6">{assessment.title}</h2>
+
+            <AssessmentQuestions
+                assessment={assessment}
+                answers={responses}
+                onChange={updateResponse}
+                errors={errors}
+                onSelectQuestion={onSelectQuestion}
+            />
+
+            <div className="flex items-center space-x-4">
+                <button
+                    onClick={checkAnswers}
+                    className="px-4 py-2 border border-gray-300 rounded-md text-gray-700 hover:bg-gray-50"
+                >
+                    Check answers
+                </button>
+                {checked && (
+                    <span className={`text-sm ${errorCount ? 'text-red-600' : 'text-green-600'}`}>
+                        {errorCount ? `${errorCount} answer${errorCount === 1 ? '' : 's'} need attention` : 'All answers pass validation'}
+                    </span>
+                )}
+            </div>
+        </div>
+    );
+}
+
+// Assessment Questions Component - the sections and currently visible questions of a form,
+// shared by the builder preview and the candidate runtime
+function AssessmentQuestions({ assessment, answers, onChange, errors = {}, onSelectQuestion }) {
+    const visibleIds = getVisibleQuestionIds(assessment, answers);
+
+    return assessment.sections?.map((section) => {
+        const questions = section.questions?.filter(question => visibleIds.has(question.id)) || [];
+        if (questions.length === 0 && section.questions?.length) return null;
+
+        return (
+            <div key={section.id} className="mb-8">
+                <h3 className="text-xl font-semibold mb-4">{section.title}</h3>
+
+                {questions.map((question) => (
+                    <div key={question.id} className="mb-6">
+                        <label
+                            onClick={onSelectQuestion && (() => onSelectQuestion(question.id))}
+                            className={`block text-sm font-medium text-gray-700 mb-2 ${
+                                onSelectQuestion ? 'cursor-pointer hover:text-blue-600' : ''
+                            }`}
+                        >
+                            {question.question}
+                            {question.required && <span className="text-red-500 ml-1">*</span>}
+                        </label>
+
+                        <QuestionInput
+                            question={question}
+                            value={answers[question.id]}
+                            onChange={(value) => onChange(question, value)}
+                        />
+
+                        {errors[question.id] && (
+                            <p className="mt-1 text-sm text-red-600">{errors[question.id]}</p>
+                        )}
+                    </div>
+                ))}
+            </div>
+        );
+    });
+}
+
+const QUESTION_TYPES = [
+    'single-choice',
+    'multi-choice',
+    'short-text',
+    'long-text',
+    'numeric',
+    'file-upload'
+];
+
+// Copies sections with new section and question ids. Conditions between copied questions follow the copies.
+function withFreshIds(sections) {
+    const stamp = Date.now();
+    const idMap = {};
+    sections.forEach((section, sectionIndex) => {
+        (section.questions || []).forEach((question, questionIndex) => {
+            idMap[question.id] = `q-${stamp}-${sectionIndex}-${questionIndex}`;
+        });
+    });
+
+    return sections.map((section, sectionIndex) => ({
+        ...section,
+        id: `section-${stamp}-${sectionIndex}`,
+        questions: (section.questions || []).map(question => ({
+            ...question,
+            id: idMap[question.id],
+            ...(question.visibility ? {
+                visibility: {
+                    ...question.visibility,
+                    rules: question.visibility.rules.map(rule => ({
+                        ...rule,
+                        questionId: idMap[rule.questionId] || rule.questionId
+                    }))
+                }
+            } : {})
+        }))
+    }));
+}
+
+// Bumped whenever the exported file layout changes; files from newer schemas are refused
+const ASSESSMENT_SCHEMA_VERSION = 1;
+
+// The portable part of an assessment: no job id or version metadata
+function exportAssessment(assessment) {
+    const { title, passThreshold, sections } = assessment;
+    return {
+        schemaVersion: ASSESSMENT_SCHEMA_VERSION,
+        exportedAt: new Date().toISOString(),
+        assessment: { title, passThreshold, sections }
+    };
+}
+
+// Checks an exported file and returns its assessment content. Throws a ValidationError whose fields map
+// a readable location ("Section 2, question 3") to what is wrong there.
+function parseAssessmentImport(data) {
+    const errors = {};
+    const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+    const isText = (value) => typeof value === 'string' && value.trim() !== '';
+
+    if (!isObject(data)) {
+        throw new ValidationError({ File: 'Not an assessment export' });
+    }
+    if (!Number.isInteger(data.schemaVersion)) {
+        throw new ValidationError({ File: 'Missing "schemaVersion" - is this an assessment export?' });
+    }
+    if (data.schemaVersion > ASSESSMENT_SCHEMA_VERSION) {
+        throw new ValidationError({
+            File: `Schema version ${data.schemaVersion} is newer than this app supports (${ASSESSMENT_SCHEMA_VERSION})`
+        });
+    }
+
+    const assessment = data.assessment;
+    if (!isObject(assessment)) {
+        throw new ValidationError({ File: 'Missing "assessment"' });
+    }
+    if (!isText(assessment.title)) errors.Assessment = 'Missing "title"';
+    if (assessment.passThreshold !== undefined && typeof assessment.passThreshold !== 'number') {
+        errors['Pass threshold'] = 'Must be a number';
+    }
+    if (!Array.isArray(assessment.sections)) {
+        errors.Sections = 'Missing "sections" list';
+        throw new ValidationError(errors);
+    }
+
+    const seenIds = new Set();
+    assessment.sections.forEach((section, sectionIndex) => {
+        const sectionLabel = `Section ${sectionIndex + 1}`;
+        if (!isObject(section)) {
+            errors[sectionLabel] = 'Not a section';
+            return;
+        }
+
+        const missing = ['id', 'title'].filter(field => !isText(section[field]));
+        if (!Array.isArray(section.questions)) missing.push('questions');
+        if (missing.length) {
+            errors[sectionLabel] = `Missing ${missing.map(field => `"${field}"`).join(', ')}`;
+        }
+
+        (Array.isArray(section.questions) ? section.questions : []).forEach((question, questionIndex) => {
+            const label = `${sectionLabel}, question ${questionIndex + 1}`;
+            if (!isObject(question)) {
+                errors[label] = 'Not a question';
+                return;
+            }
+
+            const problems = [];
+            const missingFields = ['id', 'question', 'type'].filter(field => !isText(question[field]));
+            if (missingFields.length) problems.push(`missing ${missingFields.map(field => `"${field}"`).join(', ')}`);
+            if (isText(question.type) && !QUESTION_TYPES.includes(question.type)) {
+                problems.push(`unknown type "${question.type}" (expected one of ${QUESTION_TYPES.join(', ')})`);
+            }
+            if (['single-choice', 'multi-choice'].includes(question.type)
+                && !(Array.isArray(question.options) && question.options.length && question.options.every(isText))) {
+                problems.push('choice questions need a list of "options"');
+            }
+            if (question.required !== undefined && typeof question.required !== 'boolean') {
+                problems.push('"required" must be true or false');
+            }
+            if (question.validation !== undefined && !isObject(question.validation)) {
+                problems.push('"validation" must be an object');
+            }
+            if (question.points !== undefined && typeof question.points !== 'number') {
+                problems.push('"points" must be a number');
+            }
+            (question.visibility?.rules || []).forEach(rule => {
+                if (!seenIds.has(rule.questionId)) {
+                    problems.push(`condition refers to "${rule.questionId}", which is not an earlier question`);
+                }
+            });
+            if (isText(question.id) && seenIds.has(question.id)) {
+                problems.push(`id "${question.id}" is used more than once`);
+            }
+
+            if (isText(question.id)) seenIds.add(question.id);
+            if (problems.length) errors[label] = problems.join('; ');
+        });
+    });
+
+    if (Object.keys(errors).length) {
+        throw new ValidationError(errors);
+    }
+
+    return {
+        title: assessment.title,
+        passThreshold: assessment.passThreshold,
+        sections: assessment.sections.map(section => ({
+            ...section,
+            questions: section.questions.map(question => ({ required: false, ...question }))
+        }))
+    };
+}
+
+const QUESTION_DIFF_FIELDS = [
+    ['question', 'text'],
+    ['type', 'type'],
+    ['required', 'required'],
+    ['options', 'options'],
+    ['validation', 'validation rules'],
+    ['points', 'points'],
+    ['correct', 'correct answers'],
+    ['acceptRange', 'accepted range'],
+    ['visibility', 'conditions']
+];
+
+// A readable list of what changed between two versions of an assessment, for the history panel
+function diffAssessments(older, newer) {
+    const same = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+    const changes = [];
+
+    if (!same(older.title, newer.title)) {
+        changes.push({ kind: 'changed', text: `Title changed from "${older.title}" to "${newer.title}"` });
+    }
+    if (!same(older.passThreshold, newer.passThreshold)) {
+        changes.push({ kind: 'changed', text: `Pass threshold changed from ${older.passThreshold ?? 'none'} to ${newer.passThreshold ?? 'none'}` });
+    }
+
+    const olderSections = older.sections || [];
+    const newerSections = newer.sections || [];
+    olderSections.forEach(section => {
+        const match = newerSections.find(s => s.id === section.id);
+        if (!match) {
+            changes.push({ kind: 'removed', text: `Section "${section.title}" (${section.questions?.length || 0} questions)` });
+            return;
+        }
+        if (!same(section.title, match.title)) {
+            changes.push({ kind: 'changed', text: `Section "${section.title}" renamed to "${match.title}"` });
+        }
+        if (!same(section.passThreshold, match.passThreshold)) {
+            changes.push({ kind: 'changed', text: `Section "${match.title}" pass threshold changed` });
+        }
+    });
+    const sharedSections = (from, to) => from.map(s => s.id).filter(id => to.some(s => s.id === id));
+    if (!same(sharedSections(olderSections, newerSections), sharedSections(newerSections, olderSections))) {
+        changes.push({ kind: 'changed', text: 'Sections reordered' });
+    }
+    newerSections.forEach(section => {
+        if (!olderSections.some(s => s.id === section.id)) {
+            changes.push({ kind: 'added', text: `Section "${section.title}" (${section.questions?.length || 0} questions)` });
+        }
+    });
+
+    const locate = (sections) => new Map(sections.flatMap(section =>
+        (section.questions || []).map(question => [question.id, { question, section }])
+    ));
+    const olderQuestions = locate(olderSections);
+    const newerQuestions = locate(newerSections);
+
+    olderQuestions.forEach(({ question, section }, id) => {
+        const match = newerQuestions.get(id);
+        if (!match) {
+            changes.push({ kind: 'removed', text: `Question "${question.question}" from "${section.title}"` });
+            return;
+        }
+
+        const fields = QUESTION_DIFF_FIELDS
+            .filter(([field]) => !same(question[field], match.question[field]))
+            .map(([, label]) => label);
+        if (fields.length) {
+            changes.push({ kind: 'changed', text: `Question "${match.question.question}": ${fields.join(', ')}` });
+        }
+        if (match.section.id !== section.id) {
+            changes.push({ kind: 'changed', text: `Question "${match.question.question}" moved to "${match.section.title}"` });
+        }
+    });
+
+    // Compare only the questions both versions share, so an insert or delete doesn't read as a reorder
+    newerSections.forEach(section => {
+        const olderSection = olderSections.find(s => s.id === section.id);
+        if (!olderSection) return;
+
+        const ids = new Set((section.questions || []).map(q => q.id));
+        const olderOrder = (olderSection.questions || []).map(q => q.id).filter(id => ids.has(id));
+        const newerOrder = (section.questions || []).map(q => q.id).filter(id => olderOrder.includes(id));
+        if (!same(olderOrder, newerOrder)) {
+            changes.push({ kind: 'changed', text: `Questions reordered in "${section.title}"` });
+        }
+    });
+    newerQuestions.forEach(({ question, section }, id) => {
+        if (!olderQuestions.has(id)) {
+            changes.push({ kind: 'added', text: `Question "${question.question}" in "${section.title}"` });
+        }
+    });
+
+    return changes;
+}
+
+function isAnswerEmpty(value) {
+    return value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0);
+}
+
+const CONDITION_OPERATORS = [
+    { id: 'equals', label: 'equals' },
+    { id: 'not-equals', label: 'does not equal' },
+    { id: 'includes', label: 'includes' },
+    { id: 'gt', label: 'is greater than' },
+    { id: 'lt', label: 'is less than' }
+];
+
+function evaluateCondition(rule, answer) {
+    if (isAnswerEmpty(answer)) {
+        // Nothing answered yet only "does not equal" anything
+        return rule.operator === 'not-equals';
+    }
+
+    const expected = String(rule.value ?? '');
+    switch (rule.operator) {
+        case 'equals':
+            return Array.isArray(answer)
+                ? answer.length === 1 && answer[0] === expected
+                : String(answer) === expected;
+        case 'not-equals':
+            return Array.isArray(answer) ? !answer.includes(expected) : String(answer) !== expected;
+        case 'includes':
+            return Array.isArray(answer)
+                ? answer.includes(expected)
+                : String(answer).toLowerCase().includes(expected.toLowerCase());
+        case 'gt':
+            return Number(answer) > Number(expected);
+        case 'lt':
+            return Number(answer) < Number(expected);
+        default:
+            return false;
+    }
+}
+
+// Returns the message for the first rule the answer breaks, or null. Rules that don't apply to
+// the question's type are ignored, so switching type in the editor never strands an answer.
+function validateAnswer(question, value) {
+    const rules = question.validation || {};
+
+    if (isAnswerEmpty(value)) {
+        return question.required ? 'This question is required' : null;
+    }
+
+    switch (question.type) {
+        case 'numeric': {
+            const number = Number(value);
+            if (Number.isNaN(number)) return 'Enter a number';
+            if (rules.min !== undefined && number < rules.min) return `Must be at least ${rules.min}`;
+            if (rules.max !== undefined && number > rules.max) return `Must be at most ${rules.max}`;
+            return null;
+        }
+        case 'short-text':
+        case 'long-text': {
+            if (rules.minLength !== undefined && value.length < rules.minLength) {
+                return `Must be at least ${rules.minLength} characters`;
+            }
+            if (rules.maxLength !== undefined && value.length > rules.maxLength) {
+                return `Must be at most ${rules.maxLength} characters (currently ${value.length})`;
+            }
+            if (rules.pattern && !compilePattern(rules.pattern)?.test(value)) {
+                return rules.patternMessage || 'Answer is not in the expected format';
+            }
+            return null;
+        }
+        case 'file-upload': {
+            // Only a freshly picked File can be checked; stored answers are references to files already accepted
+            if (!(value instanceof Blob)) return null;
+            if (rules.accept && !fileMatchesAccept(value, rules.accept)) return `File must be one of: ${rules.accept}`;
+            if (rules.maxSizeMB !== undefined && value.size > rules.maxSizeMB * 1024 * 1024) {
+                return `File must be ${rules.maxSizeMB} MB or smaller (this one is ${formatFileSize(value.size)})`;
+            }
+            return null;
+        }
+        case 'multi-choice': {
+            if (rules.minChoices !== undefined && value.length < rules.minChoices) {
+                return `Choose at least ${rules.minChoices}`;
+            }
+            if (rules.maxChoices !== undefined && value.length > rules.maxChoices) {
+                return `Choose at most ${rules.maxChoices}`;
+            }
+            return null;
+        }
+        default:
+            return null;
+    }
+}
+
+// `accept` uses the same syntax as the file input attribute: ".pdf, image/*, application/zip"
+function fileMatchesAccept(file, accept) {
+    const name = file.name.toLowerCase();
+    const type = (file.type || '').toLowerCase();
+
+    return accept.split(',').map(entry => entry.trim().toLowerCase()).filter(Boolean).some(entry => {
+        if (entry.startsWith('.')) return name.endsWith(entry);
+        if (entry.endsWith('/*')) return type.startsWith(entry.slice(0, -1));
+        return type === entry;
+    });
+}
+
+function formatFileSize(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+// A pattern that doesn't compile is reported in the editor and never fails an answer
+function compilePattern(pattern) {
+    try {
+        return new RegExp(pattern);
+    } catch {
+        return null;
+    }
+}
+
+// Errors keyed by question id, for visible questions only
+function validateAnswers(assessment, answers) {
+    const visibleIds = getVisibleQuestionIds(assessment, answers);
+    const errors = {};
+
+    (assessment.sections || []).forEach(section => {
+        (section.questions || []).forEach(question => {
+            if (!visibleIds.has(question.id)) return;
+
+            const message = validateAnswer(question, answers[question.id]);
+            if (message) errors[question.id] = message;
+        });
+    });
+
+    return errors;
+}
+
+// Choice questions with correct options and numeric questions with an accepted range are marked automatically;
+// any other question worth points waits for a reviewer
+function isAutoScored(question) {
+    if (question.type === 'single-choice' || question.type === 'multi-choice') return Boolean(question.correct?.length);
+    if (question.type === 'numeric') return question.acceptRange?.min !== undefined || question.acceptRange?.max !== undefined;
+    return false;
+}
+
+// A multi-choice answer is only correct when it picks exactly the correct options
+function isAnswerCorrect(question, answer) {
+    if (isAnswerEmpty(answer)) return false;
+
+    switch (question.type) {
+        case 'single-choice':
+            return question.correct.includes(answer);
+        case 'multi-choice':
+            return answer.length === question.correct.length && answer.every(option => question.correct.includes(option));
+        case 'numeric': {
+            const number = Number(answer);
+            const { min, max } = question.acceptRange;
+            return !Number.isNaN(number) && (min === undefined || number >= min) && (max === undefined || number <= max);
+        }
+        default:
+            return false;
+    }
+}
+
+// Scores the visible questions that carry points. `passed` is null while any question is still
+// waiting for a manual grade, and the whole score is null when nothing in the assessment is scored.
+function scoreResponse(assessment, answers, grades = {}) {
+    const visibleIds = getVisibleQuestionIds(assessment, answers);
+    const questions = {};
+    const pending = [];
+
+    const sections = (assessment.sections || []).map(section => {
+        let earned = 0;
+        let possible = 0;
+        let sectionPending = false;
+
+        (section.questions || []).forEach(question => {
+            if (!visibleIds.has(question.id) || !(question.points > 0)) return;
+            possible += question.points;
+
+            if (isAutoScored(question)) {
+                const correct = isAnswerCorrect(question, answers[question.id]);
+                questions[question.id] = { earned: correct ? question.points : 0, correct };
+            } else if (grades[question.id] !== undefined) {
+                questions[question.id] = { earned: grades[question.id] };
+            } else {
+                pending.push(question.id);
+                sectionPending = true;
+                return;
+            }
+            earned += questions[question.id].earned;
         });
-    };
 
-    return (
-        <div className="space-y-6">
-            <div>
-                <label className="block text-sm font-medium text-gray-700 mb-1">
-                    Assessment Title
-                </label>
-                <input
-                    type="text"
-                    value={assessment.title || ''}
-                    onChange={(e) => onChange({ ...assessment, title: e.target.value })}
-                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
-                />
-            </div>
+        const percent = possible ? Math.round((earned / possible) * 100) : null;
+        return {
+            id: section.id,
+            earned,
+            possible,
+            percent,
+            passed: sectionPending ? null : meetsThreshold(percent, section.passThreshold)
+        };
+    });
 
-            <div>
-                <div className="flex justify-between items-center mb-4">
-                    <h3 className="text-lg font-semibold">Sections</h3>
-                    <button
-                        onClick={addSection}
-                        className="bg-blue-600 text-white px-4 py-2 rounded hover:bg-blue-700 flex items-center"
-                    >
-                        <Plus className="h-4 w-4 mr-2" />
-                        Add Section
-                    </button>
-                </div>
+    const possible = sections.reduce((sum, section) => sum + section.possible, 0);
+    if (possible === 0) return null;
 
-                {assessment.sections?.map((section) => (
-                    <div key={section.id} className="border border-gray-200 rounded p-4 mb-4">
-                        <div className="flex justify-between items-center mb-4">
-                            <input
-                                type="text"
-                                value={section.title}
-                                onChange={(e) => updateSection(section.id, { title: e.target.value })}
-                                className="text-lg font-medium bg-transparent border-none focus:outline-none focus:ring-0"
-                            />
-                            <button
-                                onClick={() => addQuestion(section.id)}
-                                className="bg-green-600 text-white px-3 py-1 rounded text-sm hover:bg-green-700"
-                            >
-                                Add Question
-                            </button>
-                        </div>
+    const earned = sections.reduce((sum, section) => sum + section.earned, 0);
+    const percent = Math.round((earned / possible) * 100);
 
-                        <div className="space-y-4">
-                            {section.questions?.map((question) => (
-                                <QuestionEditor
-                                    key={question.id}
-                                    question={question}
-                                    onChange={(updatedQuestion) => {
-                                        updateSection(section.id, {
-                                            questions: section.questions.map(q =>
-                                                q.id === question.id ? updatedQuestion : q
-                                            )
-                                        });
-                                    }}
-                                />
-                            ))}
-                        </div>
-                    </div>
-                ))}
-            </div>
-        </div>
-    );
+    return {
+        earned,
+        possible,
+        percent,
+        passed: pending.length ? null : sections.every(section => section.passed !== false) && meetsThreshold(percent, assessment.passThreshold),
+        pending,
+        sections,
+        questions
+    };
 }
 
-// Question Editor Component
-function QuestionEditor({ question, onChange }) {
-    const questionTypes = [
-        'single-choice',
-        'multi-choice',
-        'short-text',
-        'long-text',
-        'numeric',
-        'file-upload'
-    ];
+function meetsThreshold(percent, threshold) {
+    return threshold === undefined || percent === null || percent >= threshold;
+}
 
-    return (
-        <div className="border-l-4 border-blue-500 pl-4 py-2">
-            <div className="grid grid-cols-2 gap-4 mb-2">
-                <div>
-                    <label className="block text-sm font-medium text-gray-700 mb-1">
-                        Question
-                    </label>
-                    <input
-                        type="text"
-                        value={question.question}
-                        onChange={(e) => onChange({ ...question, question: e.target.value })}
-                        className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm"
-                    />
-                </div>
-                <div>
-                    <label className="block text-sm font-medium text-gray-700 mb-1">
-                        Type
-                    </label>
-                    <select
-                        value={question.type}
-                        onChange={(e) => onChange({ ...question, type: e.target.value })}
-                        className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm"
-                    >
-                        {questionTypes.map(type => (
-                            <option key={type} value={type}>{type}</option>
-                        ))}
-                    </select>
-                </div>
-            </div>
+// The part of a score kept on the candidate, small enough to show on list and board cards
+function summarizeScore(jobId, score) {
+    return score && { jobId, percent: score.percent, passed: score.passed, pending: score.pending.length };
+}
 
-            <div className="flex items-center mb-2">
-                <input
-                    type="checkbox"
-                    checked={question.required}
-                    onChange={(e) => onChange({ ...question, required: e.target.checked })}
-                    className="mr-2"
-                />
-                <label className="text-sm text-gray-700">Required</label>
-            </div>
+// Ids of the questions shown for the current answers. Questions are walked in order, so one that
+// depends on a hidden question sees it as unanswered.
+function getVisibleQuestionIds(assessment, answers) {
+    const visible = new Set();
+
+    (assessment.sections || []).forEach(section => {
+        (section.questions || []).forEach(question => {
+            const rules = question.visibility?.rules || [];
+            if (rules.length === 0) {
+                visible.add(question.id);
+                return;
+            }
 
-            {['single-choice', 'multi-choice'].includes(question.type) && (
-                <div>
-                    <label className="block text-sm font-medium text-gray-700 mb-1">
-                        Options (one per line)
-                    </label>
-                    <textarea
-                        value={question.options?.join('\n') || ''}
-                        onChange={(e) => onChange({
-                            ...question,
-                            options: e.target.value.split('\n').filter(Boolean)
-                        })}
-                        className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm"
-                        rows={3}
-                        placeholder="Option 1&#10;Option 2&#10;Option 3"
-                    />
-                </div>
-            )}
-        </div>
-    );
+            const results = rules.map(rule => evaluateCondition(
+                rule,
+                visible.has(rule.questionId) ? answers[rule.questionId] : undefined
+            ));
+            const matched = question.visibility.match === 'any' ? results.some(Boolean) : results.every(Boolean);
+            if (question.visibility.action === 'hide' ? !matched : matched) {
+                visible.add(question.id);
+            }
+        });
+    });
+
+    return visible;
 }
 
-// Assessment Preview Component
-function AssessmentPreview({ assessment }) {
-    const [responses, setResponses] = useState({});
+function formatAnswer(value) {
+    if (value?.fileId || value instanceof Blob) return value.name;
+    return Array.isArray(value) ? value.join(', ') : String(value);
+}
+
+// Assessment Runtime Component - the candidate-facing form; answers are stored with MockAPI
+function AssessmentRuntime({ jobId, candidateId }) {
+    const [assessment, setAssessment] = useState(null);
+    const [candidate, setCandidate] = useState(null);
+    const [submission, setSubmission] = useState(null);
+    const [answers, setAnswers] = useState({});
+    const [errors, setErrors] = useState({});
+    const [submitError, setSubmitError] = useState(null);
+    const [loading, setLoading] = useState(true);
+    const [loadError, setLoadError] = useState(false);
+    const [submitting, setSubmitting] = useState(false);
+
+    const loadAssessment = useCallback(async () => {
+        setLoading(true);
+        setLoadError(false);
+        try {
+            const [assessmentData, candidateData, existing] = await Promise.all([
+                api.getAssessment(jobId),
+                api.getCandidate(candidateId),
+                api.getAssessmentResponse(candidateId, jobId)
+            ]);
+            setAssessment(assessmentData);
+            setCandidate(candidateData);
+            setSubmission(existing);
+        } catch (error) {
+            console.error('Failed to load assessment:', error);
+            setLoadError(true);
+        } finally {
+            setLoading(false);
+        }
+    }, [jobId, candidateId]);
+
+    useEffect(() => {
+        loadAssessment();
+    }, [loadAssessment]);
+
+    // Once a field has an error it's re-checked on every change, so the message clears as soon as it's fixed
+    const updateAnswer = (question, value) => {
+        setAnswers({ ...answers, [question.id]: value });
+        setErrors({ ...errors, [question.id]: errors[question.id] ? validateAnswer(question, value) : undefined });
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
 
-    const updateResponse = (questionId, value) => {
-        setResponses({ ...responses, [questionId]: value });
+        // Hidden questions are neither validated nor submitted
+        const visibleIds = getVisibleQuestionIds(assessment, answers);
+        const invalid = validateAnswers(assessment, answers);
+        setErrors(invalid);
+        if (Object.keys(invalid).length > 0) {
+            setSubmitError('Some answers need attention - see the messages below each question.');
+            return;
+        }
+
+        setSubmitting(true);
+        setSubmitError(null);
+        try {
+            const visibleAnswers = Object.fromEntries(
+                Object.entries(answers).filter(([questionId]) => visibleIds.has(questionId))
+            );
+            setSubmission(await api.submitAssessmentResponse(candidateId, jobId, visibleAnswers));
+        } catch (error) {
+            if (error instanceof ValidationError) {
+                setErrors(error.fields);
+            }
+            setSubmitError(error instanceof ValidationError
+                ? error.message
+                : 'Something went wrong while submitting. Your answers are still here - please try again.');
+        } finally {
+            setSubmitting(false);
+        }
     };
 
+    if (loading) {
+        return <div className="text-center py-8">Loading...</div>;
+    }
+
+    // A failed load says nothing about the link, so it gets a retry rather than the invalid-link message
+    if (loadError) {
+        return (
+            <div className="text-center py-8">
+                <p className="text-gray-700 mb-4">Failed to load the assessment.</p>
+                <button
+                    onClick={loadAssessment}
+                    className="px-4 py-2 bg-blue-600 text-white rounded hover:bg-blue-700"
+                >
+                    Retry
+                </button>
+            </div>
+        );
+    }
+
+    if (!assessment || !candidate || candidate.jobId !== jobId) {
+        return <div className="text-center py-8">This assessment link is not valid.</div>;
+    }
+
+    if (submission) {
+        return (
+            <div className="max-w-2xl mx-auto bg-white rounded-lg shadow p-8 text-center">
+                <h2 className="text-2xl font-bold mb-2">Thank you, {candidate.name}!</h2>
+                <p className="text-gray-600">
+                    Your answers were submitted on {new Date(submission.submittedAt).toLocaleString()}.
+                </p>
+            </div>
+        );
+    }
+
     return (
-        <div className="max-w-2xl mx-auto">
-            <h2 className="text-2xl font-bold mb-6">{assessment.title}</h2>
+        <form onSubmit={handleSubmit} noValidate className="max-w-2xl mx-auto bg-white rounded-lg shadow p-8">
+            <h2 className="text-2xl font-bold mb-1">{assessment.title}</h2>
+            <p className="text-gray-500 mb-6">For {candidate.name}</p>
 
-            {assessment.sections?.map((section) => (
-                <div key={section.id} className="mb-8">
-                    <h3 className="text-xl font-semibold mb-4">{section.title}</h3>
+            <AssessmentQuestions assessment={assessment} answers={answers} onChange={updateAnswer} errors={errors} />
 
-                    {section.questions?.map((question) => (
-                        <div key={question.id} className="mb-6">
-                            <label className="block text-sm font-medium text-gray-700 mb-2">
-                                {question.question}
-                                {question.required && <span className="text-red-500 ml-1">*</span>}
-                            </label>
+            {submitError && (
+                <p className="mb-4 text-sm text-red-600 flex items-center">
+                    <AlertCircle className="h-4 w-4 mr-1" />
+                    {submitError}
+                </p>
+            )}
 
-                            <QuestionInput
-                                question={question}
-                                value={responses[question.id]}
-                                onChange={(value) => updateResponse(question.id, value)}
-                            />
-                        </div>
-                    ))}
-                </div>
-            ))}
-        </div>
+            <div className="flex justify-end">
+                <button
+                    type="submit"
+                    disabled={submitting}
+                    className="px-6 py-2 bg-blue-600 text-white rounded hover:bg-blue-700 disabled:opacity-50"
+                >
+                    {submitting ? 'Submitting...' : 'Submit Assessment'}
+                </button>
+            </div>
+        </form>
     );
 }
 
@@ -1380,29 +6219,139 @@ function QuestionInput({ question, value, onChange }) {
             );
 
         case 'file-upload':
-            return (
-                <div className="border-2 border-dashed border-gray-300 rounded-md p-6 text-center">
-                    <Upload className="h-8 w-8 text-gray-400 mx-auto mb-2" />
-                    <p className="text-gray-500">Click to upload or drag and drop</p>
-                    <p className="text-xs text-gray-400">File upload functionality would be implemented here</p>
-                </div>
-            );
+            return <FileDropzone question={question} value={value} onChange={onChange} />;
 
         default:
             return null;
     }
 }
 
+// File Dropzone Component - holds the picked File in the answers until the response is submitted
+function FileDropzone({ question, value, onChange }) {
+    const [dragOver, setDragOver] = useState(false);
+    const inputRef = useRef(null);
+    const { accept, maxSizeMB } = question.validation || {};
+
+    const pick = (files) => {
+        if (files?.length) onChange(files[0]);
+    };
+
+    if (value) {
+        return (
+            <div className="flex items-center justify-between border border-gray-300 rounded-md px-4 py-3">
+                <div className="flex items-center min-w-0">
+                    <FileText className="h-5 w-5 text-gray-400 mr-2 flex-shrink-0" />
+                    <span className="text-sm text-gray-900 truncate">{value.name}</span>
+                    <span className="text-xs text-gray-500 ml-2 flex-shrink-0">{formatFileSize(value.size)}</span>
+                </div>
+                <button
+                    type="button"
+                    onClick={() => onChange(undefined)}
+                    className="p-1 text-gray-400 hover:text-red-600"
+                    title="Remove file"
+                >
+                    <X className="h-4 w-4" />
+                </button>
+            </div>
+        );
+    }
+
+    return (
+        <div
+            role="button"
+            tabIndex={0}
+            onClick={() => inputRef.current.click()}
+            onKeyDown={(e) => (e.key === 'Enter' || e.key === ' ') && inputRef.current.click()}
+            onDragOver={(e) => {
+                e.preventDefault();
+                setDragOver(true);
+            }}
+            onDragLeave={() => setDragOver(false)}
+            onDrop={(e) => {
+                e.preventDefault();
+                setDragOver(false);
+                pick(e.dataTransfer.files);
+            }}
+            className={`border-2 border-dashed rounded-md p-6 text-center cursor-pointer ${
+                dragOver ? 'border-blue-500 bg-blue-50' : 'border-gray-300 hover:border-gray-400'
+            }`}
+        >
+            <Upload className="h-8 w-8 text-gray-400 mx-auto mb-2" />
+            <p className="text-gray-500">Click to upload or drag and drop</p>
+            {(accept || maxSizeMB !== undefined) && (
+                <p className="text-xs text-gray-400">
+                    {[accept, maxSizeMB !== undefined && `up to ${maxSizeMB} MB`].filter(Boolean).join(' - ')}
+                </p>
+            )}
+            <input
+                ref={inputRef}
+                type="file"
+                accept={accept || undefined}
+                onChange={(e) => {
+                    pick(e.target.files);
+                    e.target.value = '';
+                }}
+                className="hidden"
+            />
+        </div>
+    );
+}
+
+// File Attachment Component - downloads a stored upload through an object URL
+function FileAttachment({ file }) {
+    const [downloading, setDownloading] = useState(false);
+
+    const download = async () => {
+        setDownloading(true);
+        try {
+            const stored = await api.getFile(file.fileId);
+            if (!stored) {
+                alert(`"${file.name}" is no longer stored.`);
+                return;
+            }
+
+            downloadBlob(stored.blob, stored.name);
+        } catch (error) {
+            console.error('Failed to download file:', error);
+            alert(`Failed to download "${file.name}". Please try again.`);
+        } finally {
+            setDownloading(false);
+        }
+    };
+
+    return (
+        <button
+            onClick={download}
+            disabled={downloading}
+            className="mt-1 inline-flex items-center text-sm text-blue-600 hover:underline disabled:opacity-50"
+        >
+            <FileText className="h-4 w-4 mr-1" />
+            {file.name}
+            <span className="text-gray-500 ml-2">({downloading ? 'Downloading...' : formatFileSize(file.size)})</span>
+        </button>
+    );
+}
+
 // Assessments View Component
 function AssessmentsView({ onSelectAssessment }) {
     const [jobs, setJobs] = useState([]);
+    const [assessmentsByJob, setAssessmentsByJob] = useState({});
+    const [templates, setTemplates] = useState([]);
+    const [coverage, setCoverage] = useState('all');
     const [loading, setLoading] = useState(true);
 
     useEffect(() => {
         const loadJobs = async () => {
             try {
-                const response = await api.getJobs({ status: 'active' });
-                setJobs(response.data);
+                const [response, assessments, loadedTemplates] = await Promise.all([
+                    api.getJobs({ pageSize: 1000 }),
+                    api.getAssessments(),
+                    api.getAssessmentTemplates()
+                ]);
+                // Active jobs first; getJobs already keeps each group in board order
+                setJobs([...response.data].sort((a, b) => (a.status === 'active' ? 0 : 1) - (b.status === 'active' ? 0 : 1)));
+                setAssessmentsByJob(Object.fromEntries(assessments.map(assessment => [assessment.jobId, assessment])));
+                setTemplates(loadedTemplates);
             } catch (error) {
                 console.error('Failed to load jobs:', error);
             } finally {
@@ -1413,36 +6362,117 @@ function AssessmentsView({ onSelectAssessment }) {
         loadJobs();
     }, []);
 
+    const deleteTemplate = async (template) => {
+        if (!confirm(`Delete the template "${template.name}"? Assessments started from it are not affected.`)) return;
+
+        try {
+            await api.deleteAssessmentTemplate(template.id);
+            setTemplates(current => current.filter(t => t.id !== template.id));
+        } catch {
+            alert(`Failed to delete "${template.name}"`);
+        }
+    };
+
+    const questionCount = (assessment) => (assessment.sections || [])
+        .reduce((sum, section) => sum + (section.questions?.length || 0), 0);
+    const hasAssessment = (job) => Boolean(assessmentsByJob[job.id] && questionCount(assessmentsByJob[job.id]) > 0);
+    const covered = jobs.filter(hasAssessment).length;
+    const visibleJobs = jobs.filter(job => coverage === 'all' || (coverage === 'with') === hasAssessment(job));
+
     return (
         // FIX: Removed horizontal padding to let content expand fully
         <div className="px-4 sm:px-6 lg:px-8">
             <div className="flex justify-between items-center mb-6">
                 <h2 className="text-3xl font-bold text-gray-900">Assessments</h2>
+                {!loading && (
+                    <p className="text-sm text-gray-500">
+                        {covered} of {jobs.length} jobs have an assessment
+                    </p>
+                )}
             </div>
 
             {loading ? (
                 <div className="text-center py-8">Loading...</div>
             ) : (
-                <div className="grid gap-6 md:grid-cols-2 lg:grid-cols-3">
-                    {jobs.map((job) => (
-                        <div
-                            key={job.id}
-                            className="bg-white rounded-lg shadow p-6 hover:shadow-md transition-shadow cursor-pointer"
-                            onClick={() => onSelectAssessment(job.id)}
-                        >
-                            <h3 className="text-lg font-semibold text-gray-900 mb-2">{job.title}</h3>
-                            <p className="text-gray-600 mb-4">Manage assessment for this position</p>
-                            <div className="flex items-center justify-between">
-                <span className={`px-2 py-1 rounded text-sm ${
-                    job.status === 'active' ? 'bg-green-100 text-green-800' : 'bg-gray-100 text-gray-800'
-                }`}>
-                  {job.status}
-                </span>
-                                <FileText className="h-5 w-5 text-blue-600" />
+                <>
+                    <div className="flex space-x-2 mb-6">
+                        {[['all', 'All jobs'], ['with', 'With assessment'], ['without', 'Without assessment']].map(([value, label]) => (
+                            <button
+                                key={value}
+                                onClick={() => setCoverage(value)}
+                                className={`px-3 py-1 rounded text-sm ${
+                                    coverage === value ? 'bg-blue-600 text-white' : 'bg-white border border-gray-300 text-gray-700 hover:bg-gray-50'
+                                }`}
+                            >
+                                {label}
+                            </button>
+                        ))}
+                    </div>
+
+                    <div className="grid gap-6 md:grid-cols-2 lg:grid-cols-3">
+                        {visibleJobs.map((job) => {
+                            const assessment = assessmentsByJob[job.id];
+                            const count = assessment ? questionCount(assessment) : 0;
+
+                            return (
+                                <div
+                                    key={job.id}
+                                    className="bg-white rounded-lg shadow p-6 hover:shadow-md transition-shadow cursor-pointer"
+                                    onClick={() => onSelectAssessment(job.id)}
+                                >
+                                    <h3 className="text-lg font-semibold text-gray-900 mb-2">{job.title}</h3>
+                                    {count > 0 ? (
+                                        <p className="text-gray-600 mb-4">
+                                            {count} question{count === 1 ? '' : 's'}
+                                            {assessment.version && ` - version ${assessment.version}`}
+                                        </p>
+                                    ) : (
+                                        <p className="text-gray-400 mb-4">No assessment yet - click to create one</p>
+                                    )}
+                                    <div className="flex items-center justify-between">
+                        <span className={`px-2 py-1 rounded text-sm ${
+                            job.status === 'active' ? 'bg-green-100 text-green-800' : 'bg-gray-100 text-gray-800'
+                        }`}>
+                          {job.status}
+                        </span>
+                                        {count > 0
+                                            ? <FileText className="h-5 w-5 text-blue-600" />
+                                            : <Plus className="h-5 w-5 text-gray-400" />}
+                                    </div>
+                                </div>
+                            );
+                        })}
+                    </div>
+
+                    <div className="mt-10">
+                        <h3 className="text-xl font-semibold text-gray-900 mb-4">Templates</h3>
+                        {templates.length === 0 ? (
+                            <p className="text-gray-500 text-sm">
+                                No templates yet. Open any assessment and use "Save as Template" to reuse its questions.
+                            </p>
+                        ) : (
+                            <div className="bg-white rounded-lg shadow divide-y divide-gray-100">
+                                {templates.map(template => (
+                                    <div key={template.id} className="px-6 py-3 flex items-center justify-between">
+                                        <div>
+                                            <p className="font-medium text-gray-900">{template.name}</p>
+                                            <p className="text-xs text-gray-500">
+                                                {questionCount(template)} questions - saved by {template.createdBy} on {new Date(template.createdAt).toLocaleDateString()}
+                                            </p>
+                                        </div>
+                                        <button
+                                            onClick={() => deleteTemplate(template)}
+                                            className="p-1 text-gray-400 hover:text-red-600"
+                                            title="Delete template"
+                                        >
+                                            <Trash2 className="h-4 w-4" />
+                                        </button>
+                                    </div>
+                                ))}
                             </div>
-                        </div>
-                    ))}
-                </div>
+                        )}
+                    </div>
+                </>
             )}
         </div>
     );